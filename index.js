@@ -5,14 +5,18 @@ const http = require('http');
 const { WebSocketServer } = require('ws');
 const chokidar = require('chokidar');
 const { execFile } = require('child_process');
-const { promisify } = require('util');
+const { promisify, parseArgs } = require('util');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const fsp = require('fs/promises');
 const path = require('path');
 const os = require('os');
 
 const execFileAsync = promisify(execFile);
-const PORT = 8439;
+const { version: VIEWER_VERSION } = require('./package.json');
+const DEFAULT_PORT = 8439;
+const DEFAULT_HOST = '127.0.0.1';
 
 // ---------------------------------------------------------------------------
 // Path security
@@ -24,18 +28,30 @@ function isPathAllowed(absPath) {
   return absPath === resolvedRoot || absPath.startsWith(resolvedRoot + path.sep);
 }
 
+function assertPathAllowed(absPath) {
+  if (!isPathAllowed(absPath)) {
+    throw new Error(
+      `Access denied: ${absPath} is outside the allowed directory. ` +
+      `Set OPENSCAD_VIEWER_ALLOW_ALL_PATHS=1 to disable this restriction.`
+    );
+  }
+}
+
 // Redirect all logging to stderr (stdout is reserved for MCP stdio transport)
 const log = (...args) => process.stderr.write(`[openscad-viewer] ${args.join(' ')}\n`);
 
 // ---------------------------------------------------------------------------
 // State
 // ---------------------------------------------------------------------------
-let currentFile = null;
-let currentStlPath = null;
-let currentStlBuffer = null;
-let lastBoundingBox = null;
-let watcher = null;
-let debounceTimer = null;
+
+// Model id -> { id, file, format, meshPath, meshBuffer, positions, faceColors, metadata,
+//              boundingBox, dependencies, watcher, debounceTimer }
+// .scad models are compiled to a temp mesh, so their format is COMPILE_FORMAT ('off')
+// `faceColors` holds per-triangle colors (see colorParts), or null for uncolored meshes
+// `dependencies` is the file list from OpenSCAD's last depfile (null if unavailable)
+const models = new Map();
+let activeModelId = null;
+const DEFAULT_MODEL_ID = 'default';
 
 // ---------------------------------------------------------------------------
 // Temp file cleanup
@@ -46,292 +62,4140 @@ function cleanupTempStl(stlPath) {
   if (stlPath && stlPath.startsWith(tmpPrefix)) {
     fsp.unlink(stlPath).catch(() => {});
   }
-}
-
-const wsClients = new Set();
-const pendingRequests = new Map();
-let requestIdCounter = 0;
+}
+
+const wsClients = new Set();
+const pendingRequests = new Map();
+let requestIdCounter = 0;
+// Last camera a browser reported ({ ws, camera, updatedAt }), cleared when that browser disconnects
+let liveCamera = null;
+// Where this process serves the viewer once listening ({ host, port, url, mcpUrl, startedAt, discoveryFile })
+let serverInfo = null;
+// Points the user last picked in a browser ({ ws, picks, updatedAt }), cleared when
+// that browser disconnects or the picked model is closed or recompiled
+let selection = { ws: null, picks: [], updatedAt: null };
+
+// ---------------------------------------------------------------------------
+// OpenSCAD helpers
+// ---------------------------------------------------------------------------
+
+// Set from --openscad or OPENSCAD_VIEWER_OPENSCAD at startup
+let openscadBinary = 'openscad';
+
+function checkOpenSCAD() {
+  return new Promise((resolve) => {
+    execFile(openscadBinary, ['--version'], (err) => resolve(!err));
+  });
+}
+
+// Resolves to the `openscad --version` string, or null when OpenSCAD is missing
+let openscadVersion = null;
+function getOpenSCADVersion() {
+  if (!openscadVersion) {
+    openscadVersion = new Promise((resolve) => {
+      execFile(openscadBinary, ['--version'], (err, stdout, stderr) => {
+        if (err) openscadVersion = null; // retry next time
+        resolve(err ? null : `${stdout}${stderr}`.trim());
+      });
+    });
+  }
+  return openscadVersion;
+}
+
+// .scad files compile to OFF: every OpenSCAD release writes it, and builds that
+// export color() write it as per-face colors
+const COMPILE_FORMAT = 'off';
+
+async function compileScad(scadPath, params = {}, { signal, onProgress } = {}) {
+  const tmpMesh = path.join(os.tmpdir(), `openscad-viewer-${crypto.randomUUID()}.${COMPILE_FORMAT}`);
+  const depFile = `${tmpMesh.slice(0, -path.extname(tmpMesh).length)}.d`;
+
+  try {
+    const flags = buildDefineArgs(params);
+    const { base, hit } = await lookupCompileCache(scadPath, flags);
+    // Another compile's prune can delete the entry before it is copied; that is a miss
+    if (hit && await fsp.copyFile(hit.meshPath, tmpMesh).then(() => true, () => false)) {
+      return { meshPath: tmpMesh, error: null, dependencies: hit.dependencies, diagnostics: hit.diagnostics, cached: true };
+    }
+
+    const args = ['-o', tmpMesh, '-d', depFile, ...flags, scadPath];
+    const run = execFileAsync(openscadBinary, args, { timeout: 60000, signal });
+    if (onProgress) {
+      // OpenSCAD reports progress on stderr, one step per line
+      let partial = '';
+      run.child.stderr.on('data', (chunk) => {
+        const lines = (partial + chunk).split(/\r?\n/);
+        partial = lines.pop();
+        for (const line of lines) if (line.trim()) onProgress(line.trim());
+      });
+    }
+    const { stderr } = await run;
+    const dependencies = await readDepfile(depFile);
+    const diagnostics = parseDiagnostics(stderr, scadPath);
+    await storeCompileCache(base, scadPath, tmpMesh, dependencies, diagnostics);
+    return { meshPath: tmpMesh, error: null, dependencies, diagnostics, cached: false };
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      cleanupTempStl(tmpMesh);
+      return { meshPath: null, error: null, dependencies: null, diagnostics: [], cached: false, cancelled: true };
+    }
+    const diagnostics = parseDiagnostics(err.stderr, scadPath);
+    if (!diagnostics.some((d) => d.severity === 'error')) {
+      // No ERROR: line (timeout, crash, missing binary); report the failure itself
+      const lastLine = String(err.stderr || '').trim().split(/\r?\n/).pop();
+      diagnostics.push({
+        severity: 'error',
+        kind: 'ERROR',
+        message: err.killed ? 'OpenSCAD was killed (timed out after 60s)' : lastLine || err.message,
+        file: null,
+        line: null,
+      });
+    }
+    return {
+      meshPath: null,
+      error: err.stderr || err.message,
+      dependencies: await readDepfile(depFile),
+      diagnostics,
+      cached: false,
+    };
+  } finally {
+    fsp.unlink(depFile).catch(() => {});
+  }
+}
+
+async function exportScad(scadPath, outPath, params = {}, extraArgs = []) {
+  try {
+    const args = ['-o', outPath, ...extraArgs, ...buildDefineArgs(params), scadPath];
+    await execFileAsync(openscadBinary, args, { timeout: 300000 });
+    return { error: null };
+  } catch (err) {
+    return { error: err.stderr || err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Compile cache
+//
+// Compiled meshes are stored under a hash of the source, every file it depends
+// on, the -D flags and the OpenSCAD version. Lookup happens in two steps: the
+// "base" hash (source + flags) names a JSON file listing the dependencies of
+// the last compile, and hashing those files' contents gives the mesh's key.
+// ---------------------------------------------------------------------------
+
+function compileCacheConfig() {
+  return {
+    enabled: process.env.OPENSCAD_VIEWER_CACHE !== '0',
+    dir: process.env.OPENSCAD_VIEWER_CACHE_DIR || path.join(os.tmpdir(), 'openscad-viewer-cache'),
+    maxBytes: (Number(process.env.OPENSCAD_VIEWER_CACHE_MAX_MB) || 256) * 1024 * 1024,
+  };
+}
+
+async function compileCacheKey(base, files) {
+  const hash = crypto.createHash('sha256').update(base);
+  for (const file of [...new Set(files)].sort()) {
+    hash.update(`\0${file}\0`);
+    try {
+      hash.update(await fsp.readFile(file));
+    } catch {
+      hash.update('\0missing');
+    }
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Look up a cached compile. Returns { base, hit } where `base` is passed on to
+ * storeCompileCache after a real compile (it is taken before compiling so
+ * edits made during the compile are not cached under the new source), and
+ * `hit` is { meshPath, dependencies, diagnostics } or null.
+ */
+async function lookupCompileCache(scadPath, flags) {
+  const { enabled, dir } = compileCacheConfig();
+  if (!enabled) return { base: null, hit: null };
+
+  let base;
+  try {
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify({ file: path.resolve(scadPath), flags, openscad: await getOpenSCADVersion() }));
+    hash.update(await fsp.readFile(scadPath));
+    base = hash.digest('hex');
+  } catch {
+    return { base: null, hit: null };
+  }
+
+  try {
+    const entry = JSON.parse(await fsp.readFile(path.join(dir, `${base}.json`), 'utf8'));
+    const key = await compileCacheKey(base, [...entry.dependencies, ...entry.missing]);
+    const meshPath = path.join(dir, `${key}.${COMPILE_FORMAT}`);
+    const now = new Date();
+    await fsp.utimes(meshPath, now, now); // marks it recently used; throws if absent
+    await fsp.utimes(path.join(dir, `${base}.json`), now, now);
+    const diagnostics = await fsp.readFile(path.join(dir, `${key}.diagnostics.json`), 'utf8')
+      .then(JSON.parse, () => []);
+    return { base, hit: { meshPath, dependencies: entry.dependencies, diagnostics } };
+  } catch {
+    return { base, hit: null };
+  }
+}
+
+async function storeCompileCache(base, scadPath, meshPath, dependencies, diagnostics = []) {
+  // Without a depfile we can't tell what the result depends on
+  if (!base || !dependencies) return;
+  const { dir, maxBytes } = compileCacheConfig();
+  try {
+    // Includes that don't exist yet are tracked too, so creating one is a miss
+    const missing = [...flattenDependencyTree(resolveDependencyTree(path.resolve(scadPath))).missing];
+    const key = await compileCacheKey(base, [...dependencies, ...missing]);
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.copyFile(meshPath, path.join(dir, `${key}.${COMPILE_FORMAT}`));
+    // Warnings and echo() output are replayed on a hit
+    await fsp.writeFile(path.join(dir, `${key}.diagnostics.json`), JSON.stringify(diagnostics));
+    await fsp.writeFile(path.join(dir, `${base}.json`), JSON.stringify({ dependencies, missing }));
+    await pruneCompileCache(dir, maxBytes);
+  } catch (err) {
+    log(`Compile cache write failed: ${err.message}`);
+  }
+}
+
+// Delete least recently used meshes (with their diagnostics) until every file
+// in the cache, index entries included, fits in maxBytes
+async function pruneCompileCache(dir, maxBytes) {
+  const ext = `.${COMPILE_FORMAT}`;
+  const files = [];
+  for (const name of await fsp.readdir(dir)) {
+    const stat = await fsp.stat(path.join(dir, name)).catch(() => null);
+    if (stat && stat.isFile()) files.push({ name, size: stat.size, mtime: stat.mtimeMs });
+  }
+  const sizes = new Map(files.map((f) => [f.name, f.size]));
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+
+  const removed = [];
+  const remove = async (name) => {
+    await fsp.unlink(path.join(dir, name)).catch(() => {});
+    total -= sizes.get(name);
+    removed.push(name);
+  };
+
+  const meshes = files.filter((f) => f.name.endsWith(ext)).sort((a, b) => a.mtime - b.mtime);
+  while (total > maxBytes && meshes.length) {
+    const mesh = meshes.shift();
+    await remove(mesh.name);
+    const diagnostics = `${mesh.name.slice(0, -ext.length)}.diagnostics.json`;
+    if (sizes.has(diagnostics)) await remove(diagnostics);
+  }
+
+  // A <base>.json index entry is written and touched together with its mesh,
+  // so one older than every kept mesh only leads to evicted ones
+  const oldest = meshes.length ? meshes[0].mtime : Infinity;
+  for (const f of files) {
+    if (f.name.endsWith('.json') && !f.name.endsWith('.diagnostics.json') && f.mtime < oldest) await remove(f.name);
+  }
+  return removed;
+}
+
+// ---------------------------------------------------------------------------
+// Diagnostics (OpenSCAD stderr parsed into errors, warnings and echo output)
+// ---------------------------------------------------------------------------
+
+const DIAGNOSTIC_SEVERITY = {
+  'ERROR': 'error',
+  'EXPORT-ERROR': 'error',
+  'WARNING': 'warning',
+  'DEPRECATED': 'warning',
+  'UI-WARNING': 'warning',
+  'FONT-WARNING': 'warning',
+  'EXPORT-WARNING': 'warning',
+  'ECHO': 'echo',
+};
+
+// `in file "a.scad", line 3` (quoted in parser errors, bare elsewhere)
+const DIAGNOSTIC_LOCATION_RE = /,?\s*in file\s+(?:"([^"]*)"|([^,]+)),\s*line\s+(\d+)/;
+
+function parseDiagnosticLocation(text, baseDir) {
+  const m = DIAGNOSTIC_LOCATION_RE.exec(text);
+  if (!m) return { message: text.trim(), file: null, line: null };
+  const before = text.slice(0, m.index).trim();
+  const after = text.slice(m.index + m[0].length).trim().replace(/^\.$/, '');
+  // "Parser error in file ..., line 3: syntax error" -> "Parser error: syntax error"
+  const message = after.startsWith(':') ? `${before}${after}` : [before, after].filter(Boolean).join(' ');
+  return { message, file: path.resolve(baseDir, (m[1] ?? m[2]).trim()), line: Number(m[3]) };
+}
+
+/**
+ * Parse OpenSCAD stderr into [{ severity, kind, message, file, line, trace? }].
+ * severity is 'error', 'warning' or 'echo'; kind is OpenSCAD's own prefix
+ * (ERROR, WARNING, DEPRECATED, ECHO, ...). Relative file names are resolved
+ * against the directory of `scadPath`. TRACE lines are attached to the
+ * preceding diagnostic as `trace: [{ message, file, line }]`.
+ */
+function parseDiagnostics(stderr, scadPath) {
+  const baseDir = path.dirname(path.resolve(scadPath));
+  const diagnostics = [];
+  for (const raw of String(stderr || '').split(/\r?\n/)) {
+    const m = /^([A-Z][A-Z-]*):\s?(.*)$/.exec(raw.trim());
+    if (!m) continue;
+    const [, kind, text] = m;
+
+    if (kind === 'TRACE') {
+      const previous = diagnostics[diagnostics.length - 1];
+      if (previous) {
+        if (!previous.trace) previous.trace = [];
+        previous.trace.push(parseDiagnosticLocation(text, baseDir));
+      }
+      continue;
+    }
+
+    const severity = DIAGNOSTIC_SEVERITY[kind];
+    if (!severity) continue;
+    // echo() output has no location and is kept verbatim
+    const location = severity === 'echo'
+      ? { message: text, file: null, line: null }
+      : parseDiagnosticLocation(text, baseDir);
+    diagnostics.push({ severity, kind, ...location });
+  }
+  return diagnostics;
+}
+
+function countDiagnostics(diagnostics) {
+  const counts = { errors: 0, warnings: 0, echo: 0 };
+  for (const d of diagnostics) {
+    if (d.severity === 'error') counts.errors++;
+    else if (d.severity === 'warning') counts.warnings++;
+    else counts.echo++;
+  }
+  return counts;
+}
+
+function diagnosticsMessage(job) {
+  return { type: 'diagnostics', id: job.id, file: job.file, diagnostics: job.diagnostics };
+}
+
+// Error for a failed compile, carrying the parsed diagnostics for tool results
+function compileError(result) {
+  const err = new Error(`OpenSCAD compilation failed:\n${result.error}`);
+  err.diagnostics = result.diagnostics;
+  return err;
+}
+
+function diagnosticsTool(modelId) {
+  const id = modelId ?? activeModelId ?? DEFAULT_MODEL_ID;
+  const job = compileJobs.get(id);
+  if (!job) {
+    const model = getModel(modelId); // throws when nothing is loaded
+    if (path.extname(model.file).toLowerCase() !== '.scad') {
+      return { success: true, id: model.id, file: model.file, state: 'idle', ...countDiagnostics([]), diagnostics: [] };
+    }
+    throw new Error(`No compile has run for model "${model.id}"`);
+  }
+  return {
+    success: true,
+    id: job.id,
+    file: job.file,
+    state: job.state,
+    ...countDiagnostics(job.diagnostics),
+    diagnostics: job.diagnostics,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Compile queue
+//
+// At most one OpenSCAD run per model slot. A newer request aborts the one in
+// flight (killing the child process), so only the latest result is applied.
+// ---------------------------------------------------------------------------
+
+const compileJobs = new Map(); // model id -> job
+const PROGRESS_LINES = 20;
+
+function compileStatus(job) {
+  const end = job.finishedAt || Date.now();
+  const status = {
+    id: job.id,
+    file: job.file,
+    state: job.state,
+    startedAt: new Date(job.startedAt).toISOString(),
+    elapsedMs: end - job.startedAt,
+    lastLine: job.lines[job.lines.length - 1] || null,
+    lines: [...job.lines],
+    cached: job.cached,
+  };
+  if (job.error) status.error = job.error;
+  return status;
+}
+
+/**
+ * Compile `scadPath` for model slot `id`, cancelling any compile already
+ * running for that slot. Resolves like compileScad; a superseded compile
+ * resolves with { cancelled: true } and no mesh.
+ */
+async function queueCompile(id, scadPath, params) {
+  const previous = compileJobs.get(id);
+  if (previous && previous.state === 'compiling') {
+    log(`Cancelling compile of ${previous.file} (superseded)`);
+    previous.controller.abort();
+  }
+
+  const job = {
+    id, file: scadPath, state: 'compiling', startedAt: Date.now(), finishedAt: null,
+    lines: [], cached: false, error: null, diagnostics: [], controller: new AbortController(),
+  };
+  compileJobs.set(id, job);
+  broadcast({ type: 'compile-status', ...compileStatus(job) });
+
+  let result;
+  try {
+    result = await compileScad(scadPath, params, {
+      signal: job.controller.signal,
+      onProgress: (line) => {
+        job.lines.push(line);
+        if (job.lines.length > PROGRESS_LINES) job.lines.shift();
+        broadcast({ type: 'compile-progress', id, line, elapsedMs: Date.now() - job.startedAt });
+      },
+    });
+  } catch (err) {
+    // compileScad reports failures as { error }; this keeps the job from staying 'compiling'
+    result = {
+      meshPath: null,
+      error: err.message,
+      dependencies: null,
+      diagnostics: [{ severity: 'error', kind: 'ERROR', message: err.message, file: null, line: null }],
+      cached: false,
+    };
+  }
+
+  // Superseded while the cache lookup or OpenSCAD was running
+  if (compileJobs.get(id) !== job) {
+    cleanupTempStl(result.meshPath);
+    return { ...result, meshPath: null, error: null, cancelled: true };
+  }
+
+  job.finishedAt = Date.now();
+  job.cached = result.cached;
+  job.state = result.error ? 'error' : 'done';
+  job.error = result.error;
+  job.diagnostics = result.diagnostics;
+  broadcast({ type: 'compile-status', ...compileStatus(job) });
+  broadcast(diagnosticsMessage(job));
+  return result;
+}
+
+function cancelCompile(id) {
+  const job = compileJobs.get(id);
+  if (job && job.state === 'compiling') job.controller.abort();
+  compileJobs.delete(id);
+}
+
+function compileStatusTool(modelId) {
+  if (modelId != null) {
+    const job = compileJobs.get(modelId);
+    if (!job) {
+      getModel(modelId); // throws for unknown ids
+      return { success: true, compiling: false, jobs: [{ id: modelId, state: 'idle' }] };
+    }
+    return { success: true, compiling: job.state === 'compiling', jobs: [compileStatus(job)] };
+  }
+  const jobs = [...compileJobs.values()].map(compileStatus);
+  return { success: true, compiling: jobs.some((j) => j.state === 'compiling'), jobs };
+}
+
+// ---------------------------------------------------------------------------
+// Customizer parameter overrides (passed to OpenSCAD as -D name=value)
+// ---------------------------------------------------------------------------
+
+// Absolute .scad path -> { name: value }
+const parameterOverrides = new Map();
+
+// Names accepted for overrides, from `open` params and CLI -D alike
+const PARAMETER_NAME_RE = /^[A-Za-z_$][A-Za-z0-9_]*$/;
+
+function formatScadValue(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Invalid parameter value: ${value}`);
+    return String(value);
+  }
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(formatScadValue).join(', ')}]`;
+  throw new Error(`Invalid parameter value: ${JSON.stringify(value)}`);
+}
+
+function buildDefineArgs(params) {
+  const args = [];
+  for (const [name, value] of Object.entries(params || {})) {
+    if (!PARAMETER_NAME_RE.test(name)) {
+      throw new Error(`Invalid parameter name: ${name}`);
+    }
+    args.push('-D', `${name}=${formatScadValue(value)}`);
+  }
+  return args;
+}
+
+function getParameters(scadPath) {
+  return { ...(parameterOverrides.get(scadPath) || {}) };
+}
+
+// ---------------------------------------------------------------------------
+// Customizer annotation parser (top-level assignments + // [..] comments)
+// ---------------------------------------------------------------------------
+
+// Split one source line into code and trailing `//` comment, tracking block
+// comments that span lines. Returns the updated block-comment state.
+function scanScadLine(line, inBlock) {
+  let code = '';
+  let comment = null;
+  let inString = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (inBlock) {
+      if (c === '*' && line[i + 1] === '/') { inBlock = false; i++; }
+      continue;
+    }
+    if (inString) {
+      code += c;
+      if (c === '\\') { code += line[++i] ?? ''; continue; }
+      if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') { inString = true; code += c; continue; }
+    if (c === '/' && line[i + 1] === '/') { comment = line.slice(i + 2).trim(); break; }
+    if (c === '/' && line[i + 1] === '*') { inBlock = true; i++; continue; }
+    code += c;
+  }
+  return { code, comment, inBlock };
+}
+
+function parseScadLiteral(text) {
+  const t = text.trim();
+  if (t === 'true' || t === 'false') return { type: 'boolean', value: t === 'true' };
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(t)) return { type: 'number', value: parseFloat(t) };
+  if (/^"(?:[^"\\]|\\.)*"$/.test(t)) {
+    try { return { type: 'string', value: JSON.parse(t) }; } catch { return null; }
+  }
+  const vec = /^\[(.*)\]$/.exec(t);
+  if (vec) {
+    const items = vec[1].split(',').map((v) => parseScadLiteral(v));
+    if (items.length && items.every((v) => v && v.type === 'number')) {
+      return { type: 'vector', value: items.map((v) => v.value) };
+    }
+  }
+  return null;
+}
+
+function parseCustomizerAnnotation(comment, type) {
+  const m = comment && /^\[(.*)\]$/.exec(comment.trim());
+  if (!m) return { widget: null };
+  const inner = m[1].trim();
+
+  if (inner.includes(',')) {
+    const options = inner.split(',').map((item) => {
+      const [raw, ...label] = item.split(':');
+      const rawValue = raw.trim();
+      const value = type === 'number' ? parseFloat(rawValue) : rawValue;
+      return { value, label: label.length ? label.join(':').trim() : rawValue };
+    });
+    return { widget: 'dropdown', options };
+  }
+
+  const nums = inner.split(':').map((v) => Number(v.trim()));
+  if (inner !== '' && nums.every((n) => Number.isFinite(n)) && (type === 'number' || type === 'vector')) {
+    if (nums.length === 1) return { widget: 'slider', min: 0, max: nums[0], step: 1 };
+    if (nums.length === 2) return { widget: 'slider', min: nums[0], max: nums[1], step: 1 };
+    if (nums.length === 3) return { widget: 'slider', min: nums[0], step: nums[1], max: nums[2] };
+  }
+  return { widget: null };
+}
+
+const DEFAULT_WIDGETS = { number: 'number', boolean: 'checkbox', string: 'text', vector: 'vector' };
+
+function parseScadParameters(source) {
+  const parameters = [];
+  const lines = source.split(/\r?\n/);
+  let group = 'Parameters';
+  let depth = 0;
+  let inBlock = false;
+  let description = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+
+    if (!inBlock && depth === 0) {
+      const groupMatch = /^\/\*\s*\[([^\]]+)\]\s*\*\/$/.exec(trimmed);
+      if (groupMatch) { group = groupMatch[1].trim(); description = null; continue; }
+    }
+
+    const wasInBlock = inBlock;
+    const scanned = scanScadLine(lines[i], inBlock);
+    inBlock = scanned.inBlock;
+    const code = scanned.code.trim();
+
+    if (depth === 0 && !wasInBlock) {
+      if (!code && scanned.comment !== null) { description = scanned.comment; continue; }
+
+      const assign = /^([A-Za-z_$][A-Za-z0-9_]*)\s*=\s*(.+);$/.exec(code);
+      if (assign && group.toLowerCase() !== 'hidden') {
+        const literal = parseScadLiteral(assign[2]);
+        if (literal) {
+          const annotation = parseCustomizerAnnotation(scanned.comment, literal.type);
+          const param = {
+            name: assign[1],
+            type: literal.type,
+            default: literal.value,
+            group,
+            description: description || null,
+            widget: annotation.widget || DEFAULT_WIDGETS[literal.type],
+            line: i + 1,
+          };
+          if (annotation.widget === 'slider') {
+            param.min = annotation.min;
+            param.max = annotation.max;
+            param.step = annotation.step;
+          }
+          if (annotation.options) param.options = annotation.options;
+          parameters.push(param);
+        }
+      }
+    }
+
+    for (const c of code.replace(/"(?:[^"\\]|\\.)*"/g, '')) {
+      if (c === '{') depth++;
+      else if (c === '}') depth = Math.max(0, depth - 1);
+    }
+    description = null;
+  }
+
+  return parameters;
+}
+
+function getParameterSchema(scadPath) {
+  let parameters = [];
+  try {
+    parameters = parseScadParameters(fs.readFileSync(scadPath, 'utf8'));
+  } catch {
+    // Unreadable source: report no tunable parameters
+  }
+  const overrides = getParameters(scadPath);
+  for (const p of parameters) {
+    p.value = Object.prototype.hasOwnProperty.call(overrides, p.name) ? overrides[p.name] : p.default;
+  }
+  return { file: scadPath, parameters, overrides };
+}
+
+// ---------------------------------------------------------------------------
+// STL bounding-box parser (binary + ASCII)
+// ---------------------------------------------------------------------------
+
+function parseStlBoundingBox(buffer) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  // Try binary STL
+  if (buffer.length >= 84) {
+    const numTriangles = buffer.readUInt32LE(80);
+    const expectedSize = 84 + numTriangles * 50;
+
+    if (numTriangles > 0 && buffer.length >= expectedSize) {
+      for (let i = 0; i < numTriangles; i++) {
+        const base = 84 + i * 50 + 12; // skip normal vector
+        for (let v = 0; v < 3; v++) {
+          const off = base + v * 12;
+          const x = buffer.readFloatLE(off);
+          const y = buffer.readFloatLE(off + 4);
+          const z = buffer.readFloatLE(off + 8);
+          min[0] = Math.min(min[0], x);  max[0] = Math.max(max[0], x);
+          min[1] = Math.min(min[1], y);  max[1] = Math.max(max[1], y);
+          min[2] = Math.min(min[2], z);  max[2] = Math.max(max[2], z);
+        }
+      }
+      if (min[0] !== Infinity) return { min, max };
+    }
+  }
+
+  // ASCII fallback
+  const text = buffer.toString('utf8');
+  const re = /vertex\s+([-\d.eE+]+)\s+([-\d.eE+]+)\s+([-\d.eE+]+)/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const x = parseFloat(m[1]), y = parseFloat(m[2]), z = parseFloat(m[3]);
+    min[0] = Math.min(min[0], x);  max[0] = Math.max(max[0], x);
+    min[1] = Math.min(min[1], y);  max[1] = Math.max(max[1], y);
+    min[2] = Math.min(min[2], z);  max[2] = Math.max(max[2], z);
+  }
+  return { min, max };
+}
+
+// ---------------------------------------------------------------------------
+// STL triangle parser (binary + ASCII) -> flat [x0,y0,z0, x1,y1,z1, x2,y2,z2, ...]
+// ---------------------------------------------------------------------------
+
+function parseStlTriangles(buffer) {
+  // Try binary STL
+  if (buffer.length >= 84) {
+    const numTriangles = buffer.readUInt32LE(80);
+    const expectedSize = 84 + numTriangles * 50;
+
+    if (numTriangles > 0 && buffer.length >= expectedSize) {
+      const positions = new Float32Array(numTriangles * 9);
+      for (let i = 0; i < numTriangles; i++) {
+        const base = 84 + i * 50 + 12; // skip normal vector
+        for (let k = 0; k < 9; k++) positions[i * 9 + k] = buffer.readFloatLE(base + k * 4);
+      }
+      return positions;
+    }
+  }
+
+  // ASCII fallback
+  const text = buffer.toString('utf8');
+  const re = /vertex\s+([-\d.eE+]+)\s+([-\d.eE+]+)\s+([-\d.eE+]+)/g;
+  const coords = [];
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    coords.push(parseFloat(m[1]), parseFloat(m[2]), parseFloat(m[3]));
+  }
+  return new Float32Array(coords.slice(0, coords.length - (coords.length % 9)));
+}
+
+// ---------------------------------------------------------------------------
+// Mesh formats: 3MF, OBJ, OFF, AMF (all parsed to flat triangle positions)
+// ---------------------------------------------------------------------------
+
+// Face colors are kept per triangle as 0xRRGGBB, or NO_COLOR where a face has none
+const NO_COLOR = -1;
+
+const packColor = (r, g, b) => [r, g, b]
+  .map((c) => Math.round(Math.min(1, Math.max(0, c)) * 255))
+  .reduce((hex, c) => (hex << 8) | c, 0);
+
+const formatHexColor = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+// Per-triangle colors, or null when no face is colored
+function faceColorArray(colors) {
+  return colors.some((c) => c !== NO_COLOR) ? Int32Array.from(colors) : null;
+}
+
+// Minimal zip reader (3MF is always zipped, AMF may be)
+function readZip(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+
+  const entries = new Map();
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = buffer.readUInt16LE(eocd + 10); i > 0; i--) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const nameLen = buffer.readUInt16LE(offset + 28);
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLen), {
+      method: buffer.readUInt16LE(offset + 10),
+      size: buffer.readUInt32LE(offset + 20),
+      local: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLen + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return {
+    names: [...entries.keys()],
+    read(name) {
+      const e = entries.get(name);
+      if (!e) return null;
+      const start = e.local + 30 + buffer.readUInt16LE(e.local + 26) + buffer.readUInt16LE(e.local + 28);
+      const data = buffer.subarray(start, start + e.size);
+      if (e.method === 0) return data;
+      if (e.method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported zip compression method: ${e.method}`);
+    },
+  };
+}
+
+const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+function xmlAttrs(text) {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*"([^"]*)"/g;
+  let m;
+  while ((m = re.exec(text)) !== null) attrs[m[1]] = m[2];
+  return attrs;
+}
+
+// 3MF transforms are 4x3 row-major, applied to row vectors: p' = p * M
+const IDENTITY_3MF = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+function parse3mfTransform(text) {
+  const m = text ? text.trim().split(/\s+/).map(Number) : [];
+  return m.length === 12 && m.every(Number.isFinite) ? m : IDENTITY_3MF;
+}
+
+function compose3mfTransforms(a, b) {
+  // a then b
+  const out = new Array(12);
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c] + (r === 3 ? b[9 + c] : 0);
+    }
+  }
+  return out;
+}
+
+function parse3mf(buffer) {
+  const zip = readZip(buffer);
+  const name = zip.names.find((n) => n.toLowerCase() === '3d/3dmodel.model')
+    || zip.names.find((n) => /\.model$/i.test(n));
+  if (!name) throw new Error('3MF archive has no 3D model part');
+  const xml = zip.read(name).toString('utf8');
+
+  // Color resources: <basematerials> display colors and <m:colorgroup> colors
+  const properties = new Map();
+  const groupRe = /<(?:\w+:)?(?:basematerials|colorgroup)\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?(?:basematerials|colorgroup)>/g;
+  let m;
+  while ((m = groupRe.exec(xml)) !== null) {
+    const colors = [];
+    const entryRe = /<(?:\w+:)?(?:base|color)\b([^>]*)\/?>/g;
+    let e;
+    while ((e = entryRe.exec(m[2])) !== null) {
+      const a = xmlAttrs(e[1]);
+      const hex = /^#([0-9a-f]{6})/i.exec(a.displaycolor || a.color || '');
+      colors.push(hex ? parseInt(hex[1], 16) : NO_COLOR);
+    }
+    properties.set(xmlAttrs(m[1]).id, colors);
+  }
+
+  const objects = new Map();
+  const objectRe = /<(?:\w+:)?object\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?object>)/g;
+  while ((m = objectRe.exec(xml)) !== null) {
+    const attrs = xmlAttrs(m[1]);
+    const body = m[2] || '';
+    const vertices = [];
+    const triangles = [];
+    const components = [];
+    let t;
+    const vertexRe = /<(?:\w+:)?vertex\b([^>]*)\/?>/g;
+    while ((t = vertexRe.exec(body)) !== null) {
+      const a = xmlAttrs(t[1]);
+      vertices.push([Number(a.x), Number(a.y), Number(a.z)]);
+    }
+    const triangleRe = /<(?:\w+:)?triangle\b([^>]*)\/?>/g;
+    while ((t = triangleRe.exec(body)) !== null) {
+      const a = xmlAttrs(t[1]);
+      // A triangle's own pid/p1 override the object's pid/pindex
+      const group = properties.get(a.pid ?? attrs.pid);
+      const color = group && group[Number(a.p1 ?? attrs.pindex ?? 0)];
+      triangles.push([Number(a.v1), Number(a.v2), Number(a.v3), color ?? NO_COLOR]);
+    }
+    const componentRe = /<(?:\w+:)?component\b([^>]*)\/?>/g;
+    while ((t = componentRe.exec(body)) !== null) {
+      const a = xmlAttrs(t[1]);
+      components.push({ objectid: a.objectid, transform: parse3mfTransform(a.transform) });
+    }
+    objects.set(attrs.id, { id: attrs.id, name: attrs.name || null, vertices, triangles, components });
+  }
+
+  const items = [];
+  const itemRe = /<(?:\w+:)?item\b([^>]*)\/?>/g;
+  while ((m = itemRe.exec(xml)) !== null) {
+    const a = xmlAttrs(m[1]);
+    items.push({ objectid: a.objectid, transform: parse3mfTransform(a.transform) });
+  }
+  // Without a build section, show every object that is not only used as a component
+  if (!items.length) {
+    const referenced = new Set([...objects.values()].flatMap((o) => o.components.map((c) => c.objectid)));
+    for (const id of objects.keys()) {
+      if (!referenced.has(id)) items.push({ objectid: id, transform: IDENTITY_3MF });
+    }
+  }
+
+  const coords = [];
+  const colors = [];
+  const emit = (objectId, transform, depth) => {
+    const obj = objects.get(objectId);
+    if (!obj || depth > 32) return;
+    for (const tri of obj.triangles) {
+      colors.push(tri[3]);
+      for (const vi of tri.slice(0, 3)) {
+        const [x, y, z] = obj.vertices[vi] || [NaN, NaN, NaN];
+        const T = transform;
+        coords.push(
+          x * T[0] + y * T[3] + z * T[6] + T[9],
+          x * T[1] + y * T[4] + z * T[7] + T[10],
+          x * T[2] + y * T[5] + z * T[8] + T[11],
+        );
+      }
+    }
+    for (const c of obj.components) emit(c.objectid, compose3mfTransforms(c.transform, transform), depth + 1);
+  };
+  for (const item of items) emit(item.objectid, item.transform, 0);
+
+  const unit = /<(?:\w+:)?model\b[^>]*\bunit\s*=\s*"([^"]*)"/.exec(xml);
+  return {
+    positions: new Float32Array(coords),
+    faceColors: faceColorArray(colors),
+    metadata: {
+      unit: unit ? unit[1] : 'millimeter',
+      objects: [...objects.values()]
+        .filter((o) => o.triangles.length)
+        .map((o) => ({ id: o.id, name: o.name, triangles: o.triangles.length })),
+      buildItems: items.length,
+    },
+  };
+}
+
+function parseObj(buffer) {
+  const vertices = [];
+  const coords = [];
+  const objects = new Set();
+  const materials = new Set();
+
+  for (const raw of buffer.toString('utf8').split(/\r?\n/)) {
+    const parts = raw.trim().split(/\s+/);
+    switch (parts[0]) {
+      case 'v':
+        vertices.push([Number(parts[1]), Number(parts[2]), Number(parts[3])]);
+        break;
+      case 'f': {
+        const idx = parts.slice(1).map((p) => {
+          const i = parseInt(p.split('/')[0], 10);
+          return i < 0 ? vertices.length + i : i - 1;
+        });
+        // Fan-triangulate polygons
+        for (let k = 1; k + 1 < idx.length; k++) {
+          for (const vi of [idx[0], idx[k], idx[k + 1]]) coords.push(...(vertices[vi] || [NaN, NaN, NaN]));
+        }
+        break;
+      }
+      case 'o':
+      case 'g':
+        if (parts[1]) objects.add(parts.slice(1).join(' '));
+        break;
+      case 'usemtl':
+        if (parts[1]) materials.add(parts[1]);
+        break;
+    }
+  }
+
+  return {
+    positions: new Float32Array(coords),
+    metadata: { vertices: vertices.length, objects: [...objects], materials: [...materials] },
+  };
+}
+
+function parseOff(buffer) {
+  const lines = buffer.toString('utf8')
+    .split(/\r?\n/)
+    .map((l) => l.replace(/#.*/, '').trim())
+    .filter(Boolean);
+  if (!lines.length || !/^[A-Z]*OFF/.test(lines[0])) throw new Error('Not an OFF file (missing OFF header)');
+
+  // Counts may share the header line ("OFF 8 6 0")
+  let header = lines[0].split(/\s+/).slice(1);
+  let next = 1;
+  if (header.length < 2 && next < lines.length) header = lines[next++].split(/\s+/);
+  const [numVertices, numFaces] = header.map(Number);
+  if (!(numVertices >= 0 && numFaces >= 0 && Number.isInteger(numVertices) && Number.isInteger(numFaces))) {
+    throw new Error('Invalid OFF: missing vertex and face counts');
+  }
+
+  // A truncated file has fewer lines than the header counts
+  if (lines.length - next < numVertices) throw new Error(`Invalid OFF: expected ${numVertices} vertices`);
+  const vertices = [];
+  for (let i = 0; i < numVertices; i++) {
+    vertices.push(lines[next++].split(/\s+/).slice(0, 3).map(Number));
+  }
+
+  if (lines.length - next < numFaces) throw new Error(`Invalid OFF: expected ${numFaces} faces`);
+  const coords = [];
+  const colors = [];
+  for (let i = 0; i < numFaces; i++) {
+    const fields = lines[next++].split(/\s+/);
+    const count = Number(fields[0]);
+    const idx = fields.slice(1, 1 + count).map(Number);
+    // Optional face color: RGB(A) as 0-255 integers or 0-1 floats; a lone colormap index is ignored
+    const rgb = fields.slice(1 + count, 4 + count);
+    const color = rgb.length === 3
+      ? packColor(...rgb.map((c) => (c.includes('.') ? Number(c) : Number(c) / 255)))
+      : NO_COLOR;
+    for (let k = 1; k + 1 < idx.length; k++) {
+      for (const vi of [idx[0], idx[k], idx[k + 1]]) coords.push(...(vertices[vi] || [NaN, NaN, NaN]));
+      colors.push(color);
+    }
+  }
+
+  return {
+    positions: new Float32Array(coords),
+    faceColors: faceColorArray(colors),
+    metadata: { vertices: numVertices, faces: numFaces },
+  };
+}
+
+function parseAmf(buffer) {
+  let xmlBuffer = buffer;
+  if (isZip(buffer)) {
+    const zip = readZip(buffer);
+    const name = zip.names.find((n) => !n.endsWith('/'));
+    if (!name) throw new Error('AMF archive is empty');
+    xmlBuffer = zip.read(name);
+  }
+  const xml = xmlBuffer.toString('utf8');
+  const num = (block, tag) => Number((new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`).exec(block) || [])[1]);
+
+  const coords = [];
+  const objects = [];
+  const objectRe = /<object\b([^>]*)>([\s\S]*?)<\/object>/g;
+  let m;
+  while ((m = objectRe.exec(xml)) !== null) {
+    const vertices = [];
+    const vertexRe = /<vertex>([\s\S]*?)<\/vertex>/g;
+    let v;
+    while ((v = vertexRe.exec(m[2])) !== null) vertices.push([num(v[1], 'x'), num(v[1], 'y'), num(v[1], 'z')]);
+
+    let triangles = 0;
+    const triangleRe = /<triangle>([\s\S]*?)<\/triangle>/g;
+    while ((v = triangleRe.exec(m[2])) !== null) {
+      for (const tag of ['v1', 'v2', 'v3']) coords.push(...(vertices[num(v[1], tag)] || [NaN, NaN, NaN]));
+      triangles++;
+    }
+    objects.push({ id: xmlAttrs(m[1]).id || null, triangles });
+  }
+
+  const unit = /<amf\b[^>]*\bunit\s*=\s*"([^"]*)"/.exec(xml);
+  return {
+    positions: new Float32Array(coords),
+    metadata: { unit: unit ? unit[1] : 'millimeter', objects },
+  };
+}
+
+function parseStl(buffer) {
+  const expected = buffer.length >= 84 ? 84 + buffer.readUInt32LE(80) * 50 : -1;
+  return {
+    positions: parseStlTriangles(buffer),
+    metadata: { encoding: expected > 84 && buffer.length >= expected ? 'binary' : 'ascii' },
+  };
+}
+
+// Binary STL of flat triangle positions (normals are left for readers to compute)
+function encodeStl(positions) {
+  const count = Math.floor(positions.length / 9);
+  const buffer = Buffer.alloc(84 + count * 50);
+  buffer.writeUInt32LE(count, 80);
+  for (let t = 0; t < count; t++) {
+    for (let i = 0; i < 9; i++) buffer.writeFloatLE(positions[t * 9 + i], 84 + t * 50 + 12 + i * 4);
+  }
+  return buffer;
+}
+
+// Extension -> format name, HTTP content type and server-side parser
+const MESH_FORMATS = {
+  '.stl': { format: 'stl', contentType: 'application/octet-stream', parse: parseStl },
+  '.3mf': { format: '3mf', contentType: 'model/3mf', parse: parse3mf },
+  '.obj': { format: 'obj', contentType: 'model/obj', parse: parseObj },
+  '.off': { format: 'off', contentType: 'text/plain', parse: parseOff },
+  '.amf': { format: 'amf', contentType: 'application/x-amf', parse: parseAmf },
+};
+
+function parseMeshFile(buffer, format) {
+  const entry = Object.values(MESH_FORMATS).find((f) => f.format === format);
+  if (!entry) throw new Error(`Unsupported mesh format: ${format}`);
+  return entry.parse(buffer);
+}
+
+function meshBoundingBox(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    const a = i % 3;
+    if (positions[i] < min[a]) min[a] = positions[i];
+    if (positions[i] > max[a]) max[a] = positions[i];
+  }
+  return { min, max };
+}
+
+/**
+ * Groups triangles by face color, in order of first appearance:
+ * [{ color: '#rrggbb' | null, triangles, boundingBox }]. Empty for uncolored meshes.
+ */
+function colorParts(positions, faceColors) {
+  if (!faceColors) return [];
+  const parts = new Map();
+  for (let t = 0; t < faceColors.length; t++) {
+    let part = parts.get(faceColors[t]);
+    if (!part) {
+      part = {
+        color: faceColors[t] === NO_COLOR ? null : formatHexColor(faceColors[t]),
+        triangles: 0,
+        boundingBox: { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] },
+      };
+      parts.set(faceColors[t], part);
+    }
+    part.triangles++;
+    const { min, max } = part.boundingBox;
+    for (let i = t * 9; i < t * 9 + 9; i++) {
+      const a = i % 3;
+      if (positions[i] < min[a]) min[a] = positions[i];
+      if (positions[i] > max[a]) max[a] = positions[i];
+    }
+  }
+  return [...parts.values()];
+}
+
+// ---------------------------------------------------------------------------
+// Mesh analysis (volume, area, manifoldness, shells)
+// ---------------------------------------------------------------------------
+
+function analyzeMesh(positions) {
+  const triangleCount = positions.length / 9;
+  const vertexIds = new Map();
+  const tris = new Uint32Array(triangleCount * 3);
+
+  for (let i = 0; i < triangleCount * 3; i++) {
+    const key = `${positions[i * 3]},${positions[i * 3 + 1]},${positions[i * 3 + 2]}`;
+    let id = vertexIds.get(key);
+    if (id === undefined) { id = vertexIds.size; vertexIds.set(key, id); }
+    tris[i] = id;
+  }
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    const a = i % 3;
+    if (positions[i] < min[a]) min[a] = positions[i];
+    if (positions[i] > max[a]) max[a] = positions[i];
+  }
+  const diagonal = triangleCount ? Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) : 0;
+  const areaEpsilon = 1e-12 * diagonal * diagonal;
+
+  let signedVolume = 0;
+  let surfaceArea = 0;
+  let degenerateTriangles = 0;
+  const moment = [0, 0, 0];
+  const areaMoment = [0, 0, 0];
+  const edges = new Map();
+
+  // Union-find over welded vertices to count shells
+  const parent = new Uint32Array(vertexIds.size).map((_, i) => i);
+  const find = (x) => { while (parent[x] !== x) { parent[x] = parent[parent[x]]; x = parent[x]; } return x; };
+  const union = (a, b) => { parent[find(a)] = find(b); };
+
+  for (let t = 0; t < triangleCount; t++) {
+    const o = t * 9;
+    const a = [positions[o], positions[o + 1], positions[o + 2]];
+    const b = [positions[o + 3], positions[o + 4], positions[o + 5]];
+    const c = [positions[o + 6], positions[o + 7], positions[o + 8]];
+    const area = Math.hypot(...vcross(vsub(b, a), vsub(c, a))) / 2;
+    const vol = vdot(a, vcross(b, c)) / 6;
+
+    signedVolume += vol;
+    surfaceArea += area;
+    for (let k = 0; k < 3; k++) {
+      moment[k] += (vol * (a[k] + b[k] + c[k])) / 4;
+      areaMoment[k] += (area * (a[k] + b[k] + c[k])) / 3;
+    }
+
+    const [i0, i1, i2] = [tris[t * 3], tris[t * 3 + 1], tris[t * 3 + 2]];
+    if (i0 === i1 || i1 === i2 || i0 === i2 || area <= areaEpsilon) degenerateTriangles++;
+    union(i0, i1);
+    union(i1, i2);
+    for (const [u, v] of [[i0, i1], [i1, i2], [i2, i0]]) {
+      if (u === v) continue;
+      const key = u < v ? `${u},${v}` : `${v},${u}`;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    }
+  }
+
+  let openEdges = 0;
+  let nonManifoldEdges = 0;
+  for (const count of edges.values()) {
+    if (count === 1) openEdges++;
+    else if (count > 2) nonManifoldEdges++;
+  }
+
+  const roots = new Set();
+  for (let i = 0; i < tris.length; i++) roots.add(find(tris[i]));
+
+  // Closed meshes use the solid's centroid; otherwise fall back to the surface centroid
+  const centerOfMass = triangleCount === 0 ? null
+    : Math.abs(signedVolume) > areaEpsilon * diagonal
+      ? moment.map((m) => m / signedVolume)
+      : areaMoment.map((m) => m / surfaceArea);
+
+  return {
+    triangleCount,
+    vertexCount: vertexIds.size,
+    edgeCount: edges.size,
+    volume: Math.abs(signedVolume),
+    signedVolume,
+    surfaceArea,
+    centerOfMass,
+    boundingBox: { min, max },
+    openEdges,
+    nonManifoldEdges,
+    degenerateTriangles,
+    shells: roots.size,
+    watertight: triangleCount > 0 && openEdges === 0 && nonManifoldEdges === 0,
+    // Negative signed volume means faces are wound inward
+    inverted: signedVolume < 0,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Headless software renderer (mirrors the Three.js scene in public/index.html)
+// ---------------------------------------------------------------------------
+
+const SCENE_STYLE = {
+  background: 0x1a1a2e,
+  modelColor: 0x4a90d9,
+  specular: 0x222222,
+  shininess: 40,
+  ambient: { color: 0x404040, intensity: 2 },
+  lights: [
+    { color: 0xffffff, intensity: 1.5, position: [1, 1, 1] },
+    { color: 0xffffff, intensity: 0.8, position: [-1, -0.5, -1] },
+  ],
+  grid: { size: 100, divisions: 20, centerColor: 0x444466, color: 0x333355 },
+  capColor: 0xd97706,
+  edgeColor: 0x111827,
+  edgeAngle: 20,
+  xrayOpacity: 0.25,
+  axes: { size: 80, colors: [0xef4444, 0x22c55e, 0x3b82f6] },
+  fov: 45,
+  near: 0.1,
+};
+
+const srgbToLinear = (c) => (c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4));
+const linearToSrgb = (c) => (c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 0.41666) - 0.055);
+const hexToRgb = (hex) => [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255].map((v) => v / 255);
+const hexToLinear = (hex) => hexToRgb(hex).map(srgbToLinear);
+
+const vsub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const vdot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const vcross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const vnorm = (a) => { const l = Math.hypot(a[0], a[1], a[2]) || 1; return [a[0] / l, a[1] / l, a[2] / l]; };
+
+// Models are Z-up like OpenSCAD; the scene is Y-up like Three.js. The viewer
+// parents models to a group rotated -90° about X, which maps (x, y, z) to (x, z, -y)
+const toScene = (p) => [p[0], p[2], -p[1] || 0];
+
+// Standard views in OpenSCAD's axis conventions: front looks along +Y from -Y,
+// right along -X from +X, top down the Z axis with +Y pointing up the image
+const NAMED_VIEWS = {
+  front:  { azimuth: 0,   elevation: 0 },
+  back:   { azimuth: 180, elevation: 0 },
+  right:  { azimuth: 90,  elevation: 0 },
+  left:   { azimuth: 270, elevation: 0 },
+  top:    { azimuth: 0,   elevation: 90 },
+  bottom: { azimuth: 0,   elevation: -90 },
+  iso:    { azimuth: 45,  elevation: 30 },
+};
+
+const PROJECTIONS = ['perspective', 'orthographic'];
+const RENDER_STYLES = ['shaded', 'wireframe', 'edges', 'xray'];
+
+// Rendering is synchronous, so server renders are budgeted to keep the event
+// loop (WebSocket, HTTP, MCP) responsive: at most SERVER_RENDER_MAX_PIXELS per
+// image or contact sheet, and no supersampling above SUPERSAMPLE_MAX_PIXELS.
+const SERVER_RENDER_MAX_PIXELS = 2048 * 2048;
+const SUPERSAMPLE_MAX_PIXELS = 1024 * 1024;
+
+function checkServerRenderSize(width, height, tiles = 1) {
+  if (width * height * tiles <= SERVER_RENDER_MAX_PIXELS) return;
+  const size = tiles > 1 ? `${tiles} tiles of ${width}x${height}` : `${width}x${height}`;
+  throw new Error(
+    `${size} is too large for the server renderer (limit ${SERVER_RENDER_MAX_PIXELS} pixels, e.g. 2048x2048). ` +
+    'Use a smaller size or the browser renderer.'
+  );
+}
+
+// Same spherical convention as setCameraSpherical() in the browser (scene space, Y up)
+function sphericalCamera(center, azimuthDeg, elevationDeg, distance) {
+  const az = (azimuthDeg * Math.PI) / 180;
+  const el = (elevationDeg * Math.PI) / 180;
+  const eye = [
+    center[0] + distance * Math.cos(el) * Math.sin(az),
+    center[1] + distance * Math.sin(el),
+    center[2] + distance * Math.cos(el) * Math.cos(az),
+  ];
+
+  // Object3D.lookAt basis, including its nudge when looking straight up/down
+  const zAxis = vnorm(vsub(eye, center));
+  let xAxis = vcross([0, 1, 0], zAxis);
+  if (Math.hypot(...xAxis) === 0) {
+    zAxis[2] += 0.0001;
+    xAxis = vcross([0, 1, 0], vnorm(zAxis));
+  }
+  xAxis = vnorm(xAxis);
+  const yAxis = vcross(zAxis, xAxis);
+
+  return { eye, xAxis, yAxis, zAxis };
+}
+
+function shadeFace(normal, viewDir, albedo) {
+  const { ambient, lights, specular, shininess } = SCENE_STYLE;
+  const spec = hexToLinear(specular);
+  const amb = hexToLinear(ambient.color).map((c) => c * ambient.intensity);
+  // MeshPhongMaterial with physically-based light units (three r155+)
+  const out = albedo.map((a, i) => (amb[i] * a) / Math.PI);
+
+  for (const light of lights) {
+    const L = vnorm(light.position);
+    const dotNL = Math.max(0, vdot(normal, L));
+    if (dotNL === 0) continue;
+    const irradiance = hexToLinear(light.color).map((c) => c * light.intensity * dotNL);
+    const H = vnorm([L[0] + viewDir[0], L[1] + viewDir[1], L[2] + viewDir[2]]);
+    const dotNH = Math.max(0, vdot(normal, H));
+    const dotVH = Math.max(0, vdot(viewDir, H));
+    const fresnel = Math.pow(1 - dotVH, 5);
+    const D = (1 / Math.PI) * (shininess * 0.5 + 1) * Math.pow(dotNH, shininess);
+    for (let i = 0; i < 3; i++) {
+      const F = spec[i] + (1 - spec[i]) * fresnel;
+      out[i] += irradiance[i] * (albedo[i] / Math.PI + F * 0.25 * D);
+    }
+  }
+  return out;
+}
+
+/**
+ * Edges where faces meet at more than `thresholdDeg`, plus boundary edges, as
+ * THREE.EdgesGeometry finds them (vertices welded at 1e-4). Returns [[a, b], ...].
+ */
+function featureEdges(positions, thresholdDeg = SCENE_STYLE.edgeAngle) {
+  const thresholdDot = Math.cos((thresholdDeg * Math.PI) / 180);
+  const point = (i) => [positions[i], positions[i + 1], positions[i + 2]];
+  const hash = (p) => p.map((v) => Math.round(v * 1e4)).join(',');
+  const open = new Map(); // "a_b" -> { a, b, normal } awaiting its reverse edge
+  const edges = [];
+
+  for (let t = 0; t + 8 < positions.length; t += 9) {
+    const tri = [point(t), point(t + 3), point(t + 6)];
+    const keys = tri.map(hash);
+    if (keys[0] === keys[1] || keys[1] === keys[2] || keys[2] === keys[0]) continue;
+    const normal = vnorm(vcross(vsub(tri[1], tri[0]), vsub(tri[2], tri[0])));
+    for (let i = 0; i < 3; i++) {
+      const j = (i + 1) % 3;
+      const reverse = `${keys[j]}_${keys[i]}`;
+      const other = open.get(reverse);
+      if (other) {
+        if (vdot(normal, other.normal) <= thresholdDot) edges.push([tri[i], tri[j]]);
+        open.set(reverse, null);
+      } else if (!open.has(`${keys[i]}_${keys[j]}`)) {
+        open.set(`${keys[i]}_${keys[j]}`, { a: tri[i], b: tri[j], normal });
+      }
+    }
+  }
+  for (const edge of open.values()) {
+    if (edge) edges.push([edge.a, edge.b]);
+  }
+  return edges;
+}
+
+/**
+ * Rasterize a model-space triangle soup. `target` (model space) defaults to
+ * the bounding box center; orthographic cameras frame the same view height at
+ * the target as a perspective camera with `fov` would.
+ *
+ * Style options mirror the browser's offscreen capture: `style` is shaded,
+ * wireframe, edges (shaded with feature edges) or xray; `color` and
+ * `background` are 0xRRGGBB numbers, or `background: 'transparent'`.
+ */
+function renderMesh(positions, {
+  azimuth = 45, elevation = 30, distance = null, target = null,
+  projection = 'perspective', fov = SCENE_STYLE.fov,
+  width = 800, height = 600, section = null,
+  style = 'shaded', color: modelColor = null, background = null, grid = true, axes = false, faceColors = null,
+  annotations = [],
+} = {}) {
+  // Supersampling factor (stands in for the browser's antialias)
+  const ss = width * height <= SUPERSAMPLE_MAX_PIXELS ? 2 : 1;
+  const W = width * ss;
+  const H = height * ss;
+
+  const scenePositions = new Float32Array(positions.length);
+  for (let i = 0; i + 2 < positions.length; i += 3) {
+    scenePositions.set(toScene([positions[i], positions[i + 1], positions[i + 2]]), i);
+  }
+  const plane = section && { normal: toScene(section.normal), offset: section.offset };
+
+  // Bounding box metrics, as in frameModels()
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < scenePositions.length; i++) {
+    const a = i % 3;
+    if (scenePositions[i] < min[a]) min[a] = scenePositions[i];
+    if (scenePositions[i] > max[a]) max[a] = scenePositions[i];
+  }
+  const hasGeometry = positions.length > 0;
+  const center = target ? toScene(target) : hasGeometry ? min.map((v, i) => (v + max[i]) / 2) : [0, 0, 0];
+  const modelSize = hasGeometry ? Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) : 1;
+  const dist = distance || modelSize * 2.5;
+
+  const cam = sphericalCamera(center, azimuth, elevation, dist);
+  const ortho = projection === 'orthographic';
+  const f = 1 / Math.tan((fov * Math.PI) / 360);
+  const aspect = width / height;
+  const near = SCENE_STYLE.near;
+
+  // Linear color plus coverage, blended like WebGL's NormalBlending. A
+  // transparent background clears to black at zero coverage, so color ends up
+  // premultiplied and is divided back out when downsampling.
+  const color = new Float32Array(W * H * 3);
+  const coverage = new Float32Array(W * H);
+  // Larger is closer: 1/w for perspective, view-space z (affine on screen) for orthographic
+  const depth = new Float32Array(W * H).fill(-Infinity);
+  if (background !== 'transparent') {
+    const bg = hexToLinear(background ?? SCENE_STYLE.background);
+    for (let i = 0; i < W * H; i++) color.set(bg, i * 3);
+    coverage.fill(1);
+  }
+  const put = (idx, rgb, alpha = 1) => {
+    for (let k = 0; k < 3; k++) color[idx * 3 + k] = rgb[k] * alpha + color[idx * 3 + k] * (1 - alpha);
+    coverage[idx] = alpha + coverage[idx] * (1 - alpha);
+  };
+
+  const toView = (p) => {
+    const d = vsub(p, cam.eye);
+    return [vdot(d, cam.xAxis), vdot(d, cam.yAxis), vdot(d, cam.zAxis)];
+  };
+  const project = (v) => {
+    if (ortho) {
+      const s = f / dist;
+      return [((s / aspect) * v[0] + 1) * 0.5 * W, (1 - s * v[1]) * 0.5 * H, v[2]];
+    }
+    const invW = 1 / -v[2];
+    return [((f / aspect) * v[0] * invW + 1) * 0.5 * W, (1 - f * v[1] * invW) * 0.5 * H, invW];
+  };
+  // Phong's view direction: towards the eye, or the camera axis for orthographic
+  const viewDir = (p) => (ortho ? cam.zAxis : vnorm(vsub(cam.eye, p)));
+  // Nudges a view-space point towards the camera, standing in for the polygonOffset
+  // that keeps the browser's edge lines in front of the faces they lie on
+  const pullForward = (v) => (ortho ? [v[0], v[1], v[2] + dist * 1e-3] : v.map((c) => c * (1 - 1e-3)));
+  const clipNear = (poly) => {
+    const out = [];
+    for (let i = 0; i < poly.length; i++) {
+      const a = poly[i];
+      const b = poly[(i + 1) % poly.length];
+      const aIn = a[2] <= -near;
+      const bIn = b[2] <= -near;
+      if (aIn) out.push(a);
+      if (aIn !== bIn) {
+        const t = (-near - a[2]) / (b[2] - a[2]);
+        out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, -near]);
+      }
+    }
+    return out;
+  };
+
+  // Keeps the part of a world-space polygon on the back side of the section plane
+  const clipSection = (poly) => {
+    const out = [];
+    const side = (p) => vdot(p, plane.normal) - plane.offset;
+    for (let i = 0; i < poly.length; i++) {
+      const a = poly[i];
+      const b = poly[(i + 1) % poly.length];
+      const da = side(a);
+      const db = side(b);
+      if (da <= 0) out.push(a);
+      if ((da <= 0) !== (db <= 0)) {
+        const t = da / (da - db);
+        out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t]);
+      }
+    }
+    return out;
+  };
+
+  // Calls visit(index, 1/w) for each pixel center inside a screen-space triangle
+  const rasterize = (p0, p1, p2, area, visit) => {
+    const x0 = Math.max(0, Math.floor(Math.min(p0[0], p1[0], p2[0])));
+    const x1 = Math.min(W - 1, Math.ceil(Math.max(p0[0], p1[0], p2[0])));
+    const y0 = Math.max(0, Math.floor(Math.min(p0[1], p1[1], p2[1])));
+    const y1 = Math.min(H - 1, Math.ceil(Math.max(p0[1], p1[1], p2[1])));
+    for (let y = y0; y <= y1; y++) {
+      const py = y + 0.5;
+      for (let x = x0; x <= x1; x++) {
+        const px = x + 0.5;
+        const w0 = ((p2[0] - p1[0]) * (py - p1[1]) - (p2[1] - p1[1]) * (px - p1[0])) / area;
+        const w1 = ((p0[0] - p2[0]) * (py - p2[1]) - (p0[1] - p2[1]) * (px - p2[0])) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+        visit(y * W + x, w0 * p0[2] + w1 * p1[2] + w2 * p2[2]);
+      }
+    }
+  };
+  const signedArea = (p0, p1, p2) => (p1[0] - p0[0]) * (p2[1] - p0[1]) - (p2[0] - p0[0]) * (p1[1] - p0[1]);
+
+  const fillTriangle = (p0, p1, p2, rgb, cull = true) => {
+    const area = signedArea(p0, p1, p2);
+    // Screen Y points down, so counter-clockwise (front-facing) faces have negative area
+    if (area === 0 || (cull && area > 0)) return;
+    rasterize(p0, p1, p2, area, (idx, z) => {
+      if (z <= depth[idx]) return;
+      depth[idx] = z;
+      put(idx, rgb);
+    });
+  };
+
+  // Screen-space segment, ss pixels wide so it is one pixel after downsampling
+  const drawSegment = (p, q, rgb, depthTest = true) => {
+    const steps = Math.ceil(Math.max(Math.abs(q[0] - p[0]), Math.abs(q[1] - p[1]), 1));
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const x = Math.floor(p[0] + (q[0] - p[0]) * t);
+      const y = Math.floor(p[1] + (q[1] - p[1]) * t);
+      const z = p[2] + (q[2] - p[2]) * t;
+      for (let dy = 0; dy < ss; dy++) {
+        for (let dx = 0; dx < ss; dx++) {
+          const px = x + dx;
+          const py = y + dy;
+          if (px < 0 || py < 0 || px >= W || py >= H) continue;
+          const idx = py * W + px;
+          if (depthTest) {
+            if (z < depth[idx]) continue;
+            depth[idx] = z;
+          }
+          put(idx, rgb);
+        }
+      }
+    }
+  };
+
+  const drawLine = (a, b, rgb, depthTest = true) => {
+    const clipped = clipNear([a, b]);
+    if (clipped.length < 2) return;
+    let p = project(clipped[0]);
+    let q = project(clipped[clipped.length - 1]);
+
+    // Liang-Barsky clip to the viewport (1/w is affine in screen space)
+    let t0 = 0;
+    let t1 = 1;
+    const d = vsub(q, p);
+    for (const [den, num] of [[-d[0], p[0]], [d[0], W - p[0]], [-d[1], p[1]], [d[1], H - p[1]]]) {
+      if (den === 0) { if (num < 0) return; continue; }
+      const r = num / den;
+      if (den < 0) t0 = Math.max(t0, r); else t1 = Math.min(t1, r);
+    }
+    if (t0 > t1) return;
+    [p, q] = [t0, t1].map((t) => [p[0] + d[0] * t, p[1] + d[1] * t, p[2] + d[2] * t]);
+    drawSegment(p, q, rgb, depthTest);
+  };
+
+  // World-space model edge, cut by the section plane like the browser's clipping
+  const drawModelEdge = (a, b, rgb, { depthTest = true, offset = false } = {}) => {
+    let seg = [a, b];
+    if (plane) {
+      seg = clipSection(seg);
+      if (seg.length < 2) return;
+      seg = [seg[0], seg[seg.length - 1]];
+    }
+    const [va, vb] = seg.map(toView).map((v) => (offset ? pullForward(v) : v));
+    drawLine(va, vb, rgb, depthTest);
+  };
+
+  const triangles = [];
+  for (let t = 0; t + 8 < scenePositions.length; t += 9) {
+    triangles.push([
+      [scenePositions[t], scenePositions[t + 1], scenePositions[t + 2]],
+      [scenePositions[t + 3], scenePositions[t + 4], scenePositions[t + 5]],
+      [scenePositions[t + 6], scenePositions[t + 7], scenePositions[t + 8]],
+    ]);
+  }
+  const albedo = hexToLinear(modelColor ?? SCENE_STYLE.modelColor);
+  // Face colors from the mesh, unless a single model color overrides them
+  const albedos = new Map();
+  const albedoOf = (t) => {
+    const hex = modelColor == null && faceColors ? faceColors[t] : NO_COLOR;
+    if (hex === NO_COLOR) return albedo;
+    if (!albedos.has(hex)) albedos.set(hex, hexToLinear(hex));
+    return albedos.get(hex);
+  };
+  const edges = style === 'edges' || style === 'xray'
+    ? featureEdges(positions).map((edge) => edge.map(toScene))
+    : [];
+
+  // Model. Section caps mirror the viewer's stencil technique: count back
+  // faces (+1) and front faces (-1) behind each pixel; a non-zero count means
+  // the cut plane is inside the solid there
+  const stencil = plane ? new Int32Array(W * H) : null;
+  for (const [t, [a, b, c]] of triangles.entries()) {
+    const world = plane ? clipSection([a, b, c]) : [a, b, c];
+    if (world.length < 3) continue;
+    const poly = clipNear(world.map(toView)).map(project);
+
+    if (style === 'shaded' || style === 'edges') {
+      const normal = vnorm(vcross(vsub(b, a), vsub(c, a)));
+      const centroid = [(a[0] + b[0] + c[0]) / 3, (a[1] + b[1] + c[1]) / 3, (a[2] + b[2] + c[2]) / 3];
+      const rgb = shadeFace(normal, viewDir(centroid), albedoOf(t));
+      for (let i = 1; i + 1 < poly.length; i++) fillTriangle(poly[0], poly[i], poly[i + 1], rgb);
+    }
+    if (stencil) {
+      for (let i = 1; i + 1 < poly.length; i++) {
+        const area = signedArea(poly[0], poly[i], poly[i + 1]);
+        if (area !== 0) rasterize(poly[0], poly[i], poly[i + 1], area, (idx) => { stencil[idx] += area > 0 ? 1 : -1; });
+      }
+    }
+  }
+
+  // Wireframe: every triangle edge, unlit (MeshBasicMaterial)
+  if (style === 'wireframe') {
+    for (const [t, [a, b, c]] of triangles.entries()) {
+      const rgb = albedoOf(t);
+      drawModelEdge(a, b, rgb);
+      drawModelEdge(b, c, rgb);
+      drawModelEdge(c, a, rgb);
+    }
+  }
+  if (style === 'edges') {
+    const rgb = hexToLinear(SCENE_STYLE.edgeColor);
+    for (const [a, b] of edges) drawModelEdge(a, b, rgb, { offset: true });
+  }
+
+  if (plane) {
+    // Cap: a quad on the plane, drawn (double-sided) where the count is non-zero
+    const n = plane.normal;
+    const boxCenter = min.map((v, i) => (v + max[i]) / 2);
+    const onPlane = vsub(boxCenter, n.map((v) => v * (vdot(n, boxCenter) - plane.offset)));
+    const u = vnorm(vcross(Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0], n));
+    const v = vcross(n, u);
+    const half = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+    const corner = (su, sv) => onPlane.map((p, i) => p + (u[i] * su + v[i] * sv) * half);
+    const facing = vdot(n, vsub(cam.eye, onPlane)) >= 0 ? n : n.map((x) => -x);
+    const capRgb = shadeFace(facing, viewDir(onPlane), hexToLinear(SCENE_STYLE.capColor));
+
+    const quad = clipNear([corner(-1, -1), corner(1, -1), corner(1, 1), corner(-1, 1)].map(toView)).map(project);
+    for (let i = 1; i + 1 < quad.length; i++) {
+      const area = signedArea(quad[0], quad[i], quad[i + 1]);
+      if (area === 0) continue;
+      rasterize(quad[0], quad[i], quad[i + 1], area, (idx, z) => {
+        if (stencil[idx] === 0 || z <= depth[idx]) return;
+        depth[idx] = z;
+        put(idx, capRgb);
+      });
+    }
+  }
+
+  // Grid (GridHelper on the scene's XZ plane, i.e. the model's XY plane, scaled to the model)
+  if (grid) {
+    const { grid: gridStyle } = SCENE_STYLE;
+    const half = (gridStyle.size / 2) * Math.max(1, modelSize / 20);
+    const step = (half * 2) / gridStyle.divisions;
+    for (let i = 0; i <= gridStyle.divisions; i++) {
+      const k = -half + i * step;
+      const rgb = hexToLinear(i === gridStyle.divisions / 2 ? gridStyle.centerColor : gridStyle.color);
+      drawLine(toView([-half, 0, k]), toView([half, 0, k]), rgb);
+      drawLine(toView([k, 0, -half]), toView([k, 0, half]), rgb);
+    }
+  }
+
+  // X-ray: edges drawn through everything, then translucent double-sided
+  // faces blended in buffer order without writing depth
+  if (style === 'xray') {
+    for (const [a, b] of edges) drawModelEdge(a, b, albedo, { depthTest: false });
+    for (const [t, [a, b, c]] of triangles.entries()) {
+      const world = plane ? clipSection([a, b, c]) : [a, b, c];
+      if (world.length < 3) continue;
+      const poly = clipNear(world.map(toView)).map(project);
+      const centroid = [(a[0] + b[0] + c[0]) / 3, (a[1] + b[1] + c[1]) / 3, (a[2] + b[2] + c[2]) / 3];
+      const dir = viewDir(centroid);
+      let normal = vnorm(vcross(vsub(b, a), vsub(c, a)));
+      if (vdot(normal, dir) < 0) normal = normal.map((x) => -x);
+      const rgb = shadeFace(normal, dir, albedoOf(t));
+      for (let i = 1; i + 1 < poly.length; i++) {
+        const area = signedArea(poly[0], poly[i], poly[i + 1]);
+        if (area === 0) continue;
+        rasterize(poly[0], poly[i], poly[i + 1], area, (idx, z) => {
+          if (z <= depth[idx]) return;
+          put(idx, rgb, SCENE_STYLE.xrayOpacity);
+        });
+      }
+    }
+  }
+
+  // Annotations, drawn over everything (the viewer turns off their depth test).
+  // Text is placed here and drawn after downsampling, at the viewer's pixel size.
+  const texts = [];
+  for (const annotation of annotations) {
+    const rgb = hexToLinear(parseHexColor(annotation.color));
+    const { lines, cones, points, texts: labels } = annotationPrimitives(annotation, modelSize);
+    const view = (p) => toView(toScene(p));
+    for (const [a, b] of lines) drawLine(view(a), view(b), rgb, false);
+    for (const { tip, dir, height, radius } of cones) {
+      // 12-sided cone, as ConeGeometry in the viewer
+      const axis = toScene(dir);
+      const base = vsub(toScene(tip), axis.map((v) => v * height));
+      const u = vnorm(vcross(Math.abs(axis[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0], axis));
+      const v = vcross(axis, u);
+      const ring = Array.from({ length: 12 }, (_, i) => {
+        const t = (i / 12) * 2 * Math.PI;
+        return base.map((c, k) => c + (u[k] * Math.cos(t) + v[k] * Math.sin(t)) * radius);
+      });
+      const apex = toScene(tip);
+      ring.forEach((p, i) => {
+        for (const tri of [[apex, p, ring[(i + 1) % 12]], [base, p, ring[(i + 1) % 12]]]) {
+          const poly = clipNear(tri.map(toView)).map(project);
+          for (let j = 1; j + 1 < poly.length; j++) {
+            const area = signedArea(poly[0], poly[j], poly[j + 1]);
+            if (area !== 0) rasterize(poly[0], poly[j], poly[j + 1], area, (idx) => put(idx, rgb));
+          }
+        }
+      });
+    }
+    for (const point of points) {
+      const v = view(point);
+      if (v[2] > -near) continue;
+      // Filled dot with a dark rim, 12 pixels across
+      const [cx, cy] = project(v);
+      const outer = 6 * ss;
+      const rim = hexToLinear(SCENE_STYLE.edgeColor);
+      for (let y = Math.floor(cy - outer); y <= cy + outer; y++) {
+        for (let x = Math.floor(cx - outer); x <= cx + outer; x++) {
+          const r = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+          if (x < 0 || y < 0 || x >= W || y >= H || r > outer) continue;
+          put(y * W + x, r > outer - 1.5 * ss ? rim : rgb);
+        }
+      }
+    }
+    for (const { at, text, align } of labels) {
+      const v = view(at);
+      if (v[2] > -near) continue;
+      const [x, y] = project(v);
+      texts.push({ x: x / ss, y: y / ss, text, align });
+    }
+  }
+
+  // Axes gizmo: model X/Y/Z in the bottom-left corner, drawn over everything
+  // (an AxesHelper seen by an orthographic copy of the camera)
+  if (axes) {
+    const size = SCENE_STYLE.axes.size * ss;
+    const scale = size / 2 / 1.2;
+    const origin = [size / 2, H - size / 2, 0];
+    [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+      .map((axis, i) => ({ dir: toScene(axis), rgb: hexToLinear(SCENE_STYLE.axes.colors[i]) }))
+      .sort((p, q) => vdot(p.dir, cam.zAxis) - vdot(q.dir, cam.zAxis))
+      .forEach(({ dir, rgb }) => {
+        const tip = [origin[0] + vdot(dir, cam.xAxis) * scale, origin[1] - vdot(dir, cam.yAxis) * scale, 0];
+        drawSegment(origin, tip, rgb, false);
+      });
+  }
+
+  // Downsample, un-premultiply and convert to sRGB
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      let alpha = 0;
+      for (let dy = 0; dy < ss; dy++) {
+        for (let dx = 0; dx < ss; dx++) alpha += coverage[(y * ss + dy) * W + x * ss + dx];
+      }
+      for (let ch = 0; ch < 3; ch++) {
+        let sum = 0;
+        for (let dy = 0; dy < ss; dy++) {
+          for (let dx = 0; dx < ss; dx++) sum += color[((y * ss + dy) * W + x * ss + dx) * 3 + ch];
+        }
+        const value = alpha > 0 ? sum / alpha : 0;
+        rgba[o + ch] = Math.round(Math.min(1, Math.max(0, linearToSrgb(value))) * 255);
+      }
+      rgba[o + 3] = Math.round((alpha / (ss * ss)) * 255);
+    }
+  }
+
+  // Left-aligned text starts 8px right of its point; both are centered vertically
+  for (const { x, y, text, align } of texts) {
+    const boxW = text.length * 12 + 6;
+    const left = Math.round(align === 'center' ? x - boxW / 2 : x + 8);
+    drawLabel(rgba, width, left, Math.round(y - 11), text, width);
+  }
+
+  return { width, height, rgba, distance: dist };
+}
+
+// ---------------------------------------------------------------------------
+// PNG encoder (RGBA, 8-bit)
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 255] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+function encodePng(width, height, rgba) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  const chunk = (type, data) => {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([len, body, crc]);
+  };
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // color type: RGBA
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function renderMeshToPng(positions, options) {
+  const { width, height, rgba, distance } = renderMesh(positions, options);
+  return { png: encodePng(width, height, rgba), distance };
+}
+
+function renderStlToPng(buffer, options) {
+  return renderMeshToPng(parseStlTriangles(buffer), options);
+}
+
+// 8-bit RGB/RGBA, non-interlaced PNGs (what browsers' toDataURL produces)
+function decodePng(png) {
+  if (png.readUInt32BE(0) !== 0x89504e47) throw new Error('Not a PNG image');
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const idat = [];
+  for (let off = 8; off < png.length;) {
+    const len = png.readUInt32BE(off);
+    const type = png.toString('ascii', off + 4, off + 8);
+    const data = png.subarray(off + 8, off + 8 + len);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      channels = { 2: 3, 6: 4 }[data[9]];
+      if (data[8] !== 8 || !channels || data[12] !== 0) {
+        throw new Error('Unsupported PNG: only 8-bit, non-interlaced RGB/RGBA images');
+      }
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    off += 12 + len;
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? pixels[out + x - channels] : 0;
+      const b = y > 0 ? pixels[out - stride + x] : 0;
+      const c = x >= channels && y > 0 ? pixels[out - stride + x - channels] : 0;
+      let v = line[x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      pixels[out + x] = v & 255;
+    }
+  }
+
+  if (channels === 4) return { width, height, rgba: pixels };
+  const rgba = Buffer.alloc(width * height * 4, 255);
+  for (let i = 0; i < width * height; i++) pixels.copy(rgba, i * 4, i * 3, i * 3 + 3);
+  return { width, height, rgba };
+}
+
+// ---------------------------------------------------------------------------
+// Contact sheets (used by MCP `view_grid` tool)
+// ---------------------------------------------------------------------------
+
+// 5x7 bitmap font for tile labels; one byte per row, bit 4 is the leftmost column
+const FONT_5X7 = {
+  A: [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11], B: [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  C: [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e], D: [0x1e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1e],
+  E: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f], F: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  G: [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f], H: [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  I: [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e], J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  M: [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11], N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], P: [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  Q: [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d], R: [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  S: [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e], T: [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e], V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a], X: [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x0a, 0x04, 0x04, 0x04, 0x04], Z: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  0: [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e], 1: [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  2: [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f], 3: [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  4: [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02], 5: [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  6: [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e], 7: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  8: [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e], 9: [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  ' ': [0, 0, 0, 0, 0, 0, 0], '-': [0, 0, 0, 0x1f, 0, 0, 0], '+': [0, 0x04, 0x04, 0x1f, 0x04, 0x04, 0],
+  '.': [0, 0, 0, 0, 0, 0x0c, 0x0c], ',': [0, 0, 0, 0, 0x0c, 0x04, 0x08], ':': [0, 0x0c, 0x0c, 0, 0x0c, 0x0c, 0],
+  '/': [0x01, 0x01, 0x02, 0x04, 0x08, 0x10, 0x10], '_': [0, 0, 0, 0, 0, 0, 0x1f], '=': [0, 0, 0x1f, 0, 0x1f, 0, 0],
+  '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02], ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  '\u00b0': [0x0c, 0x12, 0x12, 0x0c, 0, 0, 0], '?': [0x0e, 0x11, 0x01, 0x02, 0x04, 0, 0x04],
+};
+
+// Draw a label (upper-cased, unknown characters as '?') on a dark backing box
+function drawLabel(rgba, imageWidth, x, y, text, maxWidth, scale = 2) {
+  const advance = 6 * scale;
+  const chars = [...text.toUpperCase()].slice(0, Math.max(0, Math.floor((maxWidth - 4 * scale) / advance)));
+  const boxW = chars.length * advance + 3 * scale;
+  const boxH = 11 * scale;
+  const put = (px, py, rgb, alpha) => {
+    if (px < 0 || py < 0 || px >= imageWidth || (py * imageWidth + px) * 4 >= rgba.length) return;
+    const i = (py * imageWidth + px) * 4;
+    // Blend over whatever coverage is there, so labels show on transparent images too
+    const under = (rgba[i + 3] / 255) * (1 - alpha);
+    const out = alpha + under;
+    for (let k = 0; k < 3; k++) rgba[i + k] = Math.round((rgb[k] * alpha + rgba[i + k] * under) / out);
+    rgba[i + 3] = Math.round(out * 255);
+  };
+  for (let py = y; py < y + boxH; py++) {
+    for (let px = x; px < x + boxW; px++) put(px, py, [0, 0, 0], 0.55);
+  }
+  chars.forEach((ch, n) => {
+    const rows = FONT_5X7[ch] || FONT_5X7['?'];
+    for (let row = 0; row < 7; row++) {
+      for (let col = 0; col < 5; col++) {
+        if (!(rows[row] & (0x10 >> col))) continue;
+        for (let sy = 0; sy < scale; sy++) {
+          for (let sx = 0; sx < scale; sx++) {
+            put(x + 2 * scale + n * advance + col * scale + sx, y + 2 * scale + row * scale + sy, [226, 232, 240], 1);
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Lay tiles out in a grid with a label in each tile's top-left corner.
+ * tiles: [{ rgba, label }], each width x height. Returns { width, height, rgba }.
+ */
+function composeContactSheet(tiles, { columns, width, height }) {
+  const gap = 4;
+  const rows = Math.ceil(tiles.length / columns);
+  const sheetW = columns * width + (columns + 1) * gap;
+  const sheetH = rows * height + (rows + 1) * gap;
+  const rgba = Buffer.alloc(sheetW * sheetH * 4);
+  for (let i = 0; i < sheetW * sheetH; i++) rgba.set([15, 15, 30, 255], i * 4);
+
+  tiles.forEach((tile, n) => {
+    const left = gap + (n % columns) * (width + gap);
+    const top = gap + Math.floor(n / columns) * (height + gap);
+    for (let y = 0; y < height; y++) {
+      tile.rgba.copy(rgba, ((top + y) * sheetW + left) * 4, y * width * 4, (y + 1) * width * 4);
+    }
+    if (tile.label) drawLabel(rgba, sheetW, left + 6, top + 6, tile.label, width - 12);
+  });
+  return { width: sheetW, height: sheetH, rgba };
+}
+
+function resolveGridView(view) {
+  if (typeof view === 'string') {
+    const named = NAMED_VIEWS[view];
+    if (!named) {
+      throw new Error(`Unknown view "${view}". Named views: ${Object.keys(NAMED_VIEWS).join(', ')}`);
+    }
+    return { label: view, ...named, distance: null };
+  }
+  const { azimuth = 45, elevation = 30, distance = null } = view;
+  return { label: view.label || `az ${azimuth}\u00b0 el ${elevation}\u00b0`, azimuth, elevation, distance };
+}
+
+// ---------------------------------------------------------------------------
+// Cross sections (used by MCP `section` tool)
+//
+// A section plane is { normal, offset }: the plane normal·p = offset, with the
+// part of the model on the normal's positive side cut away.
+// ---------------------------------------------------------------------------
+
+const SECTION_AXES = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+
+function resolveSectionPlane({ axis, normal, offset, flip = false }, boundingBox) {
+  let n;
+  if (normal) {
+    if (normal.length !== 3 || Math.hypot(...normal) === 0) {
+      throw new Error('Section normal must be a non-zero [x, y, z] vector');
+    }
+    n = vnorm(normal);
+  } else {
+    n = SECTION_AXES[axis || 'z'];
+    if (!n) throw new Error(`Unknown section axis: ${axis}. Use x, y or z.`);
+  }
+
+  // Default: through the middle of the bounding box
+  let d = offset;
+  if (d == null) {
+    const center = boundingBox.min.map((v, i) => (v + boundingBox.max[i]) / 2);
+    d = vdot(n, center);
+  }
+  return flip ? { normal: n.map((v) => -v || 0), offset: -d } : { normal: [...n], offset: d };
+}
+
+// Camera looking at the cut face from the removed side, tilted to show depth
+function sectionCameraAngles(normal) {
+  const [x, y, z] = toScene(normal);
+  const elevation = (Math.asin(Math.max(-1, Math.min(1, y))) * 180) / Math.PI;
+  const azimuth = (Math.atan2(x, z) * 180) / Math.PI;
+  return {
+    azimuth: (azimuth + 30 + 360) % 360,
+    elevation: Math.max(-70, Math.min(70, elevation + 20)),
+  };
+}
+
+/**
+ * Intersect a triangle soup with a section plane. Returns the cut's area
+ * (holes subtracted; meaningful for closed meshes), the perimeter of its
+ * outlines, the number of segments and the bounding box of the cut (null when
+ * the plane misses the model).
+ */
+function sectionMesh(positions, { normal, offset }) {
+  let area = 0;
+  let perimeter = 0;
+  let segments = 0;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let t = 0; t < positions.length; t += 9) {
+    const tri = [0, 3, 6].map((k) => [positions[t + k], positions[t + k + 1], positions[t + k + 2]]);
+    const d = tri.map((p) => vdot(p, normal) - offset);
+    const points = [];
+    for (let i = 0; i < 3; i++) {
+      const j = (i + 1) % 3;
+      if ((d[i] >= 0) === (d[j] >= 0)) continue;
+      const k = d[i] / (d[i] - d[j]);
+      points.push(tri[i].map((v, a) => v + (tri[j][a] - v) * k));
+    }
+    if (points.length !== 2) continue;
+
+    // Orient each segment counter-clockwise around the normal (outlines
+    // counter-clockwise, holes clockwise), so the shoelace sum is the net area
+    let [p, q] = points;
+    const faceNormal = vcross(vsub(tri[1], tri[0]), vsub(tri[2], tri[0]));
+    if (vdot(vsub(q, p), vcross(normal, faceNormal)) < 0) [p, q] = [q, p];
+
+    area += vdot(normal, vcross(p, q)) / 2;
+    perimeter += Math.hypot(...vsub(q, p));
+    segments++;
+    for (const v of [p, q]) {
+      for (let a = 0; a < 3; a++) {
+        if (v[a] < min[a]) min[a] = v[a];
+        if (v[a] > max[a]) max[a] = v[a];
+      }
+    }
+  }
+
+  return {
+    area,
+    perimeter,
+    segments,
+    boundingBox: segments ? { min, max } : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Annotations (used by MCP `annotate` and `clear_annotations` tools)
+//
+// Markers, labels, arrows and dimension lines in model coordinates, kept on
+// the model slot so they survive recompiles. The viewer and the headless
+// renderer draw them over the model, with text and markers at a fixed pixel size.
+// ---------------------------------------------------------------------------
+
+const ANNOTATION_TYPES = ['marker', 'label', 'arrow', 'dimension'];
+const ANNOTATION_COLOR = '#facc15';
+let annotationIdCounter = 0;
+
+// Dimension text: the length with at most two decimals
+const formatLength = (value) => String(Math.round(value * 100) / 100);
+
+function normalizeAnnotation({ type, position, from, to, offset, text, color }) {
+  const need = (name, value) => {
+    if (value == null) throw new Error(`A ${type} annotation needs "${name}"`);
+  };
+  const annotation = { id: `a${++annotationIdCounter}`, type };
+  if (type === 'marker' || type === 'label') {
+    need('position', position);
+    annotation.position = position;
+    if (type === 'label') need('text', text);
+  } else {
+    need('from', from);
+    need('to', to);
+    annotation.from = from;
+    annotation.to = to;
+    if (type === 'dimension') {
+      annotation.offset = offset || [0, 0, 0];
+      annotation.length = Math.round(Math.hypot(...vsub(to, from)) * 1000) / 1000;
+      text = text ?? formatLength(annotation.length);
+    }
+  }
+  if (text != null) annotation.text = String(text);
+  annotation.color = color ? `#${color.replace(/^#/, '').toLowerCase()}` : ANNOTATION_COLOR;
+  return annotation;
+}
+
+// What an annotation draws, in model coordinates: lines, cone arrowheads
+// (sized against the model), marker points, and text anchored at its left edge
+// or center. Mirrored by annotationObject() in the browser.
+function annotationPrimitives(annotation, modelSize) {
+  const out = { lines: [], cones: [], points: [], texts: [] };
+  const add = (a, b) => a.map((v, i) => v + b[i]);
+  const arrowhead = (from, tip) => {
+    const length = Math.hypot(...vsub(tip, from));
+    if (length === 0) return;
+    const height = Math.min(length * 0.25, modelSize * 0.05);
+    out.cones.push({ tip, dir: vnorm(vsub(tip, from)), height, radius: height * 0.35 });
+  };
+  const { type, text } = annotation;
+  if (type === 'marker' || type === 'label') {
+    if (type === 'marker') out.points.push(annotation.position);
+    if (text) out.texts.push({ at: annotation.position, text, align: type === 'label' ? 'center' : 'left' });
+  } else if (type === 'arrow') {
+    out.lines.push([annotation.from, annotation.to]);
+    arrowhead(annotation.from, annotation.to);
+    if (text) out.texts.push({ at: annotation.from, text, align: 'left' });
+  } else {
+    const a = add(annotation.from, annotation.offset);
+    const b = add(annotation.to, annotation.offset);
+    if (annotation.offset.some((v) => v !== 0)) {
+      out.lines.push([annotation.from, a], [annotation.to, b]);
+    }
+    out.lines.push([a, b]);
+    arrowhead(b, a);
+    arrowhead(a, b);
+    out.texts.push({ at: a.map((v, i) => (v + b[i]) / 2), text, align: 'center' });
+  }
+  return out;
+}
+
+function annotationsMessage(model) {
+  return { type: 'annotations', id: model.id, annotations: model.annotations };
+}
+
+function annotateTool({ annotations, model: modelId }) {
+  const model = getModel(modelId);
+  const added = annotations.map(normalizeAnnotation);
+  model.annotations.push(...added);
+  broadcast(annotationsMessage(model));
+  return { success: true, model: model.id, ids: added.map((a) => a.id), annotations: added };
+}
+
+// Removes the given ids (from whichever model has them), or every annotation on one model
+function clearAnnotationsTool({ ids, model: modelId }) {
+  if (ids) {
+    const targets = modelId != null ? [getModel(modelId)] : [...models.values()];
+    for (const id of ids) {
+      if (!targets.some((m) => m.annotations.some((a) => a.id === id))) {
+        throw new Error(`No annotation with id "${id}"`);
+      }
+    }
+    for (const model of targets) {
+      const kept = model.annotations.filter((a) => !ids.includes(a.id));
+      if (kept.length === model.annotations.length) continue;
+      model.annotations = kept;
+      broadcast(annotationsMessage(model));
+    }
+    return { success: true, removed: ids };
+  }
+  const model = getModel(modelId);
+  const removed = model.annotations.map((a) => a.id);
+  model.annotations = [];
+  broadcast(annotationsMessage(model));
+  return { success: true, model: model.id, removed };
+}
+
+// ---------------------------------------------------------------------------
+// Dependency parsing for .scad files
+// ---------------------------------------------------------------------------
+
+// Parse a Makefile-style depfile written by `openscad -d` ("target: dep dep \")
+function parseDepfile(text) {
+  const joined = text.replace(/\\\r?\n/g, ' ');
+  const colon = joined.search(/:(\s|$)/);
+  if (colon < 0) return [];
+
+  const deps = [];
+  let current = '';
+  const body = joined.slice(colon + 1);
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '\\' && (body[i + 1] === ' ' || body[i + 1] === '#')) { current += body[++i]; continue; }
+    if (/\s/.test(c)) { if (current) deps.push(current); current = ''; continue; }
+    current += c;
+  }
+  if (current) deps.push(current);
+  return [...new Set(deps.map((d) => path.resolve(d)))];
+}
+
+async function readDepfile(depFile) {
+  try {
+    return parseDepfile(await fsp.readFile(depFile, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Library directories searched for include/use, in OpenSCAD's order
+function scadLibraryDirs() {
+  const dirs = (process.env.OPENSCADPATH || '').split(path.delimiter).filter(Boolean);
+  const home = os.homedir();
+  switch (process.platform) {
+    case 'darwin': dirs.push(path.join(home, 'Documents', 'OpenSCAD', 'libraries')); break;
+    case 'win32':  dirs.push(path.join(home, 'Documents', 'OpenSCAD', 'libraries')); break;
+    default:       dirs.push(path.join(home, '.local', 'share', 'OpenSCAD', 'libraries')); break;
+  }
+  return dirs.map((d) => path.resolve(d));
+}
+
+function stripScadComments(source) {
+  let inBlock = false;
+  return source.split(/\r?\n/).map((line) => {
+    const scanned = scanScadLine(line, inBlock);
+    inBlock = scanned.inBlock;
+    return scanned.code;
+  }).join('\n');
+}
+
+// Direct references in one file: include/use (library search) and import()/surface() (file-relative)
+function scanScadReferences(scadPath) {
+  const content = stripScadComments(fs.readFileSync(scadPath, 'utf8'));
+  const refs = [];
+  const re = /\b(include|use)\s*<([^>]+)>|\b(import|surface)\s*\(\s*(?:file\s*=\s*)?"([^"]+)"/g;
+  let m;
+  while ((m = re.exec(content)) !== null) {
+    const kind = m[1] || m[3];
+    const ref = m[2] || m[4];
+    const candidates = [path.resolve(path.dirname(scadPath), ref)];
+    if ((kind === 'include' || kind === 'use') && !path.isAbsolute(ref)) {
+      candidates.push(...scadLibraryDirs().map((dir) => path.join(dir, ref)));
+    }
+    const found = candidates.find((c) => fs.existsSync(c));
+    refs.push({ kind, ref, path: found || candidates[0], missing: !found });
+  }
+  return refs;
+}
+
+function parseScadDependencies(scadPath) {
+  try {
+    return scanScadReferences(scadPath).filter((r) => !r.missing).map((r) => r.path);
+  } catch {
+    return [];
+  }
+}
+
+// Recursive include/use/import tree; files already expanded elsewhere are marked `repeated`
+function resolveDependencyTree(scadPath, seen = new Set([scadPath])) {
+  let refs = [];
+  try {
+    refs = scanScadReferences(scadPath);
+  } catch {
+    // Unreadable file: no children
+  }
+  return refs.map((r) => {
+    const node = { kind: r.kind, ref: r.ref, path: r.path, missing: r.missing, children: [] };
+    if (!r.missing && path.extname(r.path).toLowerCase() === '.scad') {
+      if (seen.has(r.path)) node.repeated = true;
+      else { seen.add(r.path); node.children = resolveDependencyTree(r.path, seen); }
+    }
+    return node;
+  });
+}
+
+function flattenDependencyTree(tree, out = { files: new Set(), missing: new Set() }) {
+  for (const node of tree) {
+    (node.missing ? out.missing : out.files).add(node.path);
+    flattenDependencyTree(node.children, out);
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// WebSocket helpers
+// ---------------------------------------------------------------------------
+
+function broadcast(msg) {
+  const data = JSON.stringify(msg);
+  for (const ws of wsClients) {
+    if (ws.readyState === 1) ws.send(data);
+  }
+}
+
+function parametersMessage(model) {
+  const isScad = path.extname(model.file).toLowerCase() === '.scad';
+  const schema = isScad ? getParameterSchema(model.file) : { parameters: [], overrides: {} };
+  return { type: 'parameters', id: model.id, parameters: schema.parameters, overrides: schema.overrides };
+}
+
+function modelsMessage() {
+  return {
+    type: 'models',
+    active: activeModelId,
+    models: [...models.values()].map((m) => ({ id: m.id, filename: path.basename(m.file) })),
+  };
+}
+
+// Sends to `to`, or the first open browser, and resolves with its reply
+function sendAndWait(msg, timeoutMs = 10000, to = null) {
+  return new Promise((resolve, reject) => {
+    const requestId = ++requestIdCounter;
+    msg.requestId = requestId;
+
+    const timer = setTimeout(() => {
+      pendingRequests.delete(requestId);
+      reject(new Error('Timeout waiting for browser response'));
+    }, timeoutMs);
+
+    pendingRequests.set(requestId, {
+      resolve(data) { clearTimeout(timer); pendingRequests.delete(requestId); resolve(data); },
+      reject(err)   { clearTimeout(timer); pendingRequests.delete(requestId); reject(err); },
+    });
+
+    const data = JSON.stringify(msg);
+    for (const ws of to ? [to] : wsClients) {
+      if (ws.readyState === 1) { ws.send(data); return; }
+    }
+
+    clearTimeout(timer);
+    pendingRequests.delete(requestId);
+    reject(new Error('No browser connected'));
+  });
+}
+
+function handleBrowserMessage(msg, ws) {
+  if (msg.requestId && pendingRequests.has(msg.requestId)) {
+    pendingRequests.get(msg.requestId).resolve(msg);
+  } else if (msg.type === 'set-parameters') {
+    setParameters(msg.params || {}, { model: msg.id, replace: !!msg.replace }).catch((err) => {
+      log(`Parameter update failed: ${err.message}`);
+      // A newer slider move superseded this one; nothing to report
+      if (!err.message.startsWith('Compile cancelled')) {
+        broadcast({ type: 'error', id: msg.id, message: err.message });
+      }
+    });
+  } else if (msg.type === 'camera') {
+    const camera = parseCameraMessage(msg);
+    if (!camera) {
+      log('Ignoring malformed camera from browser');
+      return;
+    }
+    liveCamera = { ws, camera, updatedAt: new Date().toISOString() };
+  } else if (msg.type === 'selection') {
+    const picks = Array.isArray(msg.picks) ? msg.picks : [];
+    if (picks.length > 2 || !picks.every(isValidPick)) {
+      log('Ignoring malformed selection from browser');
+      return;
+    }
+    selection = { ws, picks, updatedAt: new Date().toISOString() };
+  }
+}
+
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+
+// The browser's camera report with only the fields `get_camera` and `view`
+// use, or null if any is malformed or it names no open model. The viewport
+// becomes a `view` image size, so it is clamped to what `view` accepts.
+function parseCameraMessage({ id, position, target, azimuth, elevation, distance, projection, fov, viewport }) {
+  if (typeof id !== 'string' || !models.has(id)) return null;
+  if (!isVec3(position) || !isVec3(target)) return null;
+  if (![azimuth, elevation, distance, fov].every(Number.isFinite) || distance <= 0 || fov <= 0 || fov >= 180) return null;
+  if (!PROJECTIONS.includes(projection)) return null;
+  if (!viewport || !(viewport.width > 0) || !(viewport.height > 0)) return null;
+  if (!Number.isFinite(viewport.width) || !Number.isFinite(viewport.height)) return null;
+  const size = (v) => Math.min(4096, Math.max(16, Math.round(v)));
+  return {
+    id, position, target, azimuth, elevation, distance, projection, fov,
+    viewport: { width: size(viewport.width), height: size(viewport.height) },
+  };
+}
+
+// { model, point, normal, triangle, vertices } as the browser's picker reports it
+function isValidPick(pick) {
+  return pick !== null && typeof pick === 'object'
+    && typeof pick.model === 'string'
+    && isVec3(pick.point) && isVec3(pick.normal)
+    && Number.isInteger(pick.triangle) && pick.triangle >= 0
+    && Array.isArray(pick.vertices) && pick.vertices.every(isVec3);
+}
+
+// Picks index triangles of the mesh they were made on, so they go with it
+function clearSelection(modelId) {
+  if (selection.picks.some((pick) => pick.model === modelId)) {
+    selection = { ws: null, picks: [], updatedAt: new Date().toISOString() };
+  }
+}
+
+function handleBrowserClose(ws) {
+  wsClients.delete(ws);
+  if (liveCamera && liveCamera.ws === ws) liveCamera = null;
+  if (selection.ws === ws) selection = { ws: null, picks: [], updatedAt: new Date().toISOString() };
+}
+
+// The user's camera as the browser last reported it (used by `get_camera` and `view`)
+function getCameraTool() {
+  if (!liveCamera) {
+    throw new Error('No camera reported: open the viewer in a browser to share its camera');
+  }
+  return { success: true, ...liveCamera.camera, updatedAt: liveCamera.updatedAt };
+}
+
+// Picks with the distance between them when there are two (used by `get_selection`)
+function getSelectionTool() {
+  const result = { success: true, picks: selection.picks, updatedAt: selection.updatedAt };
+  if (selection.picks.length === 2) {
+    const delta = vsub(selection.picks[1].point, selection.picks[0].point);
+    result.delta = delta.map((v) => Math.round(v * 1000) / 1000);
+    result.distance = Math.round(Math.hypot(...delta) * 1000) / 1000;
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Model slots
+// ---------------------------------------------------------------------------
+
+function getModel(id) {
+  const model = models.get(id ?? activeModelId);
+  if (!model) {
+    throw new Error(id == null ? 'No model currently loaded' : `No model with id "${id}"`);
+  }
+  return model;
+}
+
+// `file` is the source the mesh came from (the .scad file, or the mesh file
+// itself) and `dependencies` the files that compile read
+async function setModelMesh(model, meshPath, format, file = model.file, dependencies = model.dependencies) {
+  const buffer = await fsp.readFile(meshPath);
+  const { positions, faceColors = null, metadata } = parseMeshFile(buffer, format);
+  if (model.meshPath !== meshPath) cleanupTempStl(model.meshPath);
+  model.meshPath = meshPath;
+  model.meshBuffer = buffer;
+  model.format = format;
+  model.positions = positions;
+  model.faceColors = faceColors;
+  model.metadata = metadata;
+  model.boundingBox = meshBoundingBox(positions);
+  clearSelection(model.id);
+  recordRevision(model, file, dependencies);
+  broadcast(historyMessage(model));
+}
+
+function modelUpdatedMessage(model) {
+  return { type: 'model-updated', id: model.id, format: model.format };
+}
+
+function closeModel(id) {
+  const model = getModel(id);
+  if (model.watcher) model.watcher.close();
+  if (model.debounceTimer) clearTimeout(model.debounceTimer);
+  cancelCompile(model.id);
+  cleanupTempStl(model.meshPath);
+  clearSelection(model.id);
+  models.delete(model.id);
+
+  if (activeModelId === model.id) {
+    activeModelId = models.size ? [...models.keys()][0] : null;
+  }
+  broadcast({ type: 'model-closed', id: model.id });
+  broadcast(modelsMessage());
+  notifyResourceListChanged();
+  return { success: true, id: model.id, file: model.file, active: activeModelId };
+}
+
+function listModels() {
+  return {
+    active: activeModelId,
+    models: [...models.values()].map((m) => ({
+      id: m.id,
+      file: m.file,
+      active: m.id === activeModelId,
+      boundingBox: m.boundingBox,
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Revision history (used by MCP `history` tool and `view`)
+//
+// Each slot keeps its last few meshes in memory, oldest first, so earlier
+// saves can still be viewed. The newest revision is always the current mesh.
+// ---------------------------------------------------------------------------
+
+function historyLimit() {
+  return Math.max(1, Math.floor(Number(process.env.OPENSCAD_VIEWER_HISTORY)) || 10);
+}
+
+const shortHash = (data) => crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+
+// Hash of the source and every file it includes or uses, so saving an
+// included file changes it too; null when the source itself can't be read
+function sourceTreeHash(file, dependencies) {
+  const hash = crypto.createHash('sha256');
+  try {
+    hash.update(fs.readFileSync(file));
+  } catch {
+    return null; // The source vanished between compile and now; the mesh still counts
+  }
+  for (const dep of [...new Set(dependencies || [])].filter((f) => f !== file).sort()) {
+    hash.update(`\0${dep}\0`);
+    try {
+      hash.update(fs.readFileSync(dep));
+    } catch {
+      hash.update('\0missing');
+    }
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
+// Record the slot's mesh as a new revision, unless it repeats the latest one
+function recordRevision(model, file, dependencies) {
+  const sourceHash = sourceTreeHash(file, dependencies);
+  const meshHash = shortHash(model.meshBuffer);
+  const latest = model.revisions[model.revisions.length - 1];
+  if (latest && latest.file === file && latest.sourceHash === sourceHash && latest.meshHash === meshHash) return;
+
+  model.revisions.push({
+    revision: latest ? latest.revision + 1 : 1,
+    createdAt: new Date().toISOString(),
+    file,
+    sourceHash,
+    meshHash,
+    parameters: path.extname(file).toLowerCase() === '.scad' ? getParameters(file) : null,
+    format: model.format,
+    boundingBox: model.boundingBox,
+    triangles: model.positions.length / 9,
+    meshBuffer: model.meshBuffer,
+  });
+  model.revisions.splice(0, model.revisions.length - historyLimit());
+}
+
+const revisionSummary = ({ meshBuffer, ...summary }) => summary;
+
+function historyMessage(model) {
+  return { type: 'history', id: model.id, revisions: model.revisions.map(revisionSummary) };
+}
+
+function getRevision(model, revision) {
+  const found = model.revisions.find((r) => r.revision === revision);
+  if (!found) {
+    const kept = model.revisions.map((r) => r.revision).join(', ');
+    throw new Error(`Model "${model.id}" has no revision ${revision} (kept: ${kept})`);
+  }
+  return found;
+}
+
+// Positions, face colors and bounding box of one revision
+function revisionMesh(model, revision) {
+  const found = getRevision(model, revision);
+  if (found === model.revisions[model.revisions.length - 1]) return model;
+  const { positions, faceColors = null } = parseMeshFile(found.meshBuffer, found.format);
+  return { positions, faceColors, boundingBox: found.boundingBox };
+}
+
+function historyTool(modelId) {
+  const model = getModel(modelId);
+  return {
+    success: true,
+    model: model.id,
+    current: model.revisions[model.revisions.length - 1].revision,
+    limit: historyLimit(),
+    revisions: model.revisions.map(revisionSummary),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// File watcher
+// ---------------------------------------------------------------------------
+
+function setupWatcher(model) {
+  if (model.watcher) model.watcher.close();
+
+  const files = new Set([model.file]);
+  if (path.extname(model.file).toLowerCase() === '.scad') {
+    // The regex scan also yields missing files, so creating one triggers a recompile
+    const scanned = flattenDependencyTree(resolveDependencyTree(model.file));
+    for (const f of model.dependencies || scanned.files) files.add(f);
+    for (const f of scanned.missing) files.add(f);
+  }
+
+  model.watcher = chokidar.watch([...files], { ignoreInitial: true });
+  const onEvent = () => {
+    if (model.debounceTimer) clearTimeout(model.debounceTimer);
+    model.debounceTimer = setTimeout(() => handleFileChange(model).catch(err => {
+      log(`Watch handler error: ${err.message}`);
+      broadcast({ type: 'error', id: model.id, message: `File watch error: ${err.message}` });
+    }), 300);
+  };
+  model.watcher.on('change', onEvent);
+  model.watcher.on('add', onEvent);
+}
+
+async function handleFileChange(model) {
+  // Ignore events that arrive after the model was closed or replaced
+  if (models.get(model.id) !== model) return;
+
+  log(`File changed: ${model.file}`);
+  const ext = path.extname(model.file).toLowerCase();
+
+  if (ext === '.scad') {
+    const result = await queueCompile(model.id, model.file, getParameters(model.file));
+    if (result.cancelled) return;
+    if (result.cached) log(`Compile cache hit: ${model.file}`);
+
+    // Re-setup watcher (dependencies may have changed, even on errors)
+    model.dependencies = result.dependencies;
+    setupWatcher(model);
+
+    if (result.error) {
+      log(`Compilation error: ${result.error}`);
+      broadcast({ type: 'error', id: model.id, message: result.error, diagnostics: result.diagnostics });
+      notifyResourcesUpdated(model);
+      return;
+    }
+    await setModelMesh(model, result.meshPath, COMPILE_FORMAT);
+    broadcast(parametersMessage(model));
+  } else {
+    await setModelMesh(model, model.file, model.format);
+  }
+
+  broadcast(modelUpdatedMessage(model));
+  notifyResourcesUpdated(model);
+}
+
+// ---------------------------------------------------------------------------
+// Open a file (used by both CLI startup and MCP `open` tool)
+// ---------------------------------------------------------------------------
+
+async function openFile(filePath, { params, id = DEFAULT_MODEL_ID } = {}) {
+  const absPath = path.resolve(filePath);
+
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid model id: ${id}. Use letters, digits, "-" and "_".`);
+  }
+
+  assertPathAllowed(absPath);
+
+  if (!fs.existsSync(absPath)) {
+    throw new Error(`File not found: ${absPath}`);
+  }
+
+  const ext = path.extname(absPath).toLowerCase();
+  if (ext !== '.scad' && !MESH_FORMATS[ext]) {
+    throw new Error(`Unsupported file type: ${ext}. Supported: .scad, ${Object.keys(MESH_FORMATS).join(', ')}.`);
+  }
+
+  if (params && ext !== '.scad') {
+    throw new Error('Parameter overrides can only be applied to .scad files');
+  }
+
+  let meshPath;
+  let format;
+  let dependencies = null;
+  let cached = false;
+  let diagnostics = null;
+  if (ext === '.scad') {
+    if (!(await checkOpenSCAD())) {
+      throw new Error('OpenSCAD is not installed or not found on $PATH');
+    }
+    const activeParams = params ? { ...params } : getParameters(absPath);
+    buildDefineArgs(activeParams); // validate before compiling
+    const result = await queueCompile(id, absPath, activeParams);
+    if (result.cancelled) {
+      throw new Error('Compile cancelled: superseded by a newer request');
+    }
+    if (result.error) throw compileError(result);
+    if (params) parameterOverrides.set(absPath, activeParams);
+    if (result.cached) log(`Compile cache hit: ${absPath}`);
+    meshPath = result.meshPath;
+    cached = result.cached;
+    diagnostics = result.diagnostics;
+    format = COMPILE_FORMAT;
+    dependencies = result.dependencies;
+  } else {
+    cancelCompile(id); // a .scad compile for this slot would overwrite the mesh
+    broadcast({ type: 'diagnostics', id, file: absPath, diagnostics: [] });
+    meshPath = absPath;
+    format = MESH_FORMATS[ext].format;
+  }
+
+  // Reuse the slot if the id is taken, otherwise start a new one
+  let model = models.get(id);
+  if (!model) {
+    model = {
+      id, file: null, format: null, meshPath: null, meshBuffer: null, positions: null, faceColors: null,
+      metadata: null, boundingBox: null, dependencies: null, watcher: null, debounceTimer: null, annotations: [],
+      revisions: [],
+    };
+  }
+  try {
+    await setModelMesh(model, meshPath, format, absPath, dependencies);
+  } catch (err) {
+    cleanupTempStl(meshPath);
+    throw new Error(`Could not read ${path.basename(absPath)}: ${err.message}`);
+  }
+  models.set(id, model);
+  model.file = absPath;
+  model.dependencies = dependencies;
+  activeModelId = id;
+  setupWatcher(model);
+
+  broadcast(modelsMessage());
+  broadcast(modelUpdatedMessage(model));
+  broadcast({ type: 'file-info', id, filename: path.basename(absPath) });
+  broadcast(parametersMessage(model));
+  notifyResourceListChanged();
+  notifyResourcesUpdated(model);
+
+  const result = {
+    success: true,
+    id,
+    file: absPath,
+    fileSize: fs.statSync(absPath).size,
+    format: ext === '.scad' ? 'scad' : model.format,
+    cached,
+    boundingBox: model.boundingBox,
+  };
+  if (ext === '.scad') {
+    result.parameters = getParameters(absPath);
+    result.diagnostics = diagnostics;
+  } else {
+    result.metadata = model.metadata;
+  }
+  result.mesh = analyzeMesh(model.positions);
+  if (model.faceColors) result.parts = colorParts(model.positions, model.faceColors);
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Set parameter overrides (used by MCP `set_parameters` tool)
+// ---------------------------------------------------------------------------
+
+async function setParameters(params, { file, model: modelId, replace = false } = {}) {
+  const absPath = file ? path.resolve(file) : getModel(modelId).file;
+
+  assertPathAllowed(absPath);
+  if (path.extname(absPath).toLowerCase() !== '.scad') {
+    throw new Error('Parameter overrides can only be applied to .scad files');
+  }
+
+  // A null value removes that override
+  const next = replace ? {} : getParameters(absPath);
+  for (const [name, value] of Object.entries(params)) {
+    if (value === null) delete next[name];
+    else next[name] = value;
+  }
+  buildDefineArgs(next);
+
+  // Only open models need recompiling; other files pick it up on their next open
+  const affected = [...models.values()].filter((m) => m.file === absPath);
+  const compiled = [];
+  for (const model of affected) {
+    const result = await queueCompile(model.id, absPath, next);
+    if (result.cancelled || result.error) {
+      for (const c of compiled) cleanupTempStl(c.meshPath);
+    }
+    if (result.cancelled) {
+      throw new Error('Compile cancelled: superseded by a newer request');
+    }
+    if (result.error) {
+      broadcast({ type: 'error', id: model.id, message: result.error, diagnostics: result.diagnostics });
+      notifyResourcesUpdated(model);
+      throw compileError(result);
+    }
+    compiled.push({ model, meshPath: result.meshPath, dependencies: result.dependencies, diagnostics: result.diagnostics });
+  }
+
+  parameterOverrides.set(absPath, next);
+  for (const { model, meshPath, dependencies } of compiled) {
+    await setModelMesh(model, meshPath, COMPILE_FORMAT, model.file, dependencies);
+    model.dependencies = dependencies;
+    setupWatcher(model);
+    broadcast(modelUpdatedMessage(model));
+    broadcast(parametersMessage(model));
+    notifyResourcesUpdated(model);
+  }
+
+  const result = {
+    success: true,
+    file: absPath,
+    parameters: { ...next },
+    recompiled: compiled.length > 0,
+  };
+  if (compiled.length) {
+    result.models = compiled.map(({ model }) => model.id);
+    result.boundingBox = compiled[0].model.boundingBox;
+    result.diagnostics = compiled[0].diagnostics;
+  }
+  return result;
+}
+
+function getParametersTool(file, modelId) {
+  const absPath = file ? path.resolve(file) : getModel(modelId).file;
+
+  assertPathAllowed(absPath);
+  if (path.extname(absPath).toLowerCase() !== '.scad') {
+    throw new Error('Customizer parameters are only available for .scad files');
+  }
+  if (!fs.existsSync(absPath)) throw new Error(`File not found: ${absPath}`);
+
+  return { success: true, ...getParameterSchema(absPath) };
+}
+
+function dependenciesTool(file, modelId) {
+  const absPath = file ? path.resolve(file) : getModel(modelId).file;
+
+  assertPathAllowed(absPath);
+  if (path.extname(absPath).toLowerCase() !== '.scad') {
+    throw new Error('Dependencies are only available for .scad files');
+  }
+  if (!fs.existsSync(absPath)) throw new Error(`File not found: ${absPath}`);
+
+  const tree = resolveDependencyTree(absPath);
+  const scanned = flattenDependencyTree(tree);
+
+  // Prefer OpenSCAD's own list from the last compile of an open model
+  const open = [...models.values()].find((m) => m.file === absPath && m.dependencies);
+  const files = open
+    ? open.dependencies.filter((f) => f !== absPath)
+    : [...scanned.files];
+
+  return {
+    success: true,
+    file: absPath,
+    source: open ? 'depfile' : 'scan',
+    files,
+    missing: [...scanned.missing],
+    libraryPaths: scadLibraryDirs(),
+    tree,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Export (used by MCP `export` tool)
+// ---------------------------------------------------------------------------
+
+const EXPORT_FORMATS = ['stl', '3mf', 'off', 'amf', 'dxf', 'svg', 'png'];
+
+function summarizeExport(buffer, format) {
+  switch (format) {
+    case 'png':
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    case 'svg': {
+      const text = buffer.toString('utf8');
+      const attr = (name) => (new RegExp(`<svg\\b[^>]*\\b${name}="([^"]*)"`).exec(text) || [])[1] || null;
+      return { width: attr('width'), height: attr('height'), viewBox: attr('viewBox'), paths: (text.match(/<path\b/g) || []).length };
+    }
+    case 'dxf': {
+      // Entity type counts from the ENTITIES section (group code 0 precedes each entity)
+      const text = buffer.toString('utf8');
+      const start = text.search(/\n\s*ENTITIES\s*\r?\n/);
+      const section = start < 0 ? '' : text.slice(start).split(/\n\s*ENDSEC\s*\r?\n/)[0];
+      const entities = {};
+      const re = /^\s*0\s*\r?\n\s*([A-Z_]+)\s*$/gm;
+      let m;
+      while ((m = re.exec(section)) !== null) entities[m[1]] = (entities[m[1]] || 0) + 1;
+      return { entities };
+    }
+    default: {
+      const { positions, metadata } = parseMeshFile(buffer, format);
+      return { triangleCount: positions.length / 9, boundingBox: meshBoundingBox(positions), ...metadata };
+    }
+  }
+}
+
+async function exportModel({ format, output, file, params, model: modelId, width, height }) {
+  if (file && modelId) throw new Error('Pass either file or model, not both');
+  if (params && !file) throw new Error('Parameter overrides can only be passed with file');
+
+  // A `file` is exported straight from its source, so 2D (projection) files
+  // that cannot be opened as a mesh still export to DXF, SVG and PNG
+  let model = null;
+  let sourceFile;
+  if (file) {
+    sourceFile = path.resolve(file);
+    assertPathAllowed(sourceFile);
+    if (!fs.existsSync(sourceFile)) throw new Error(`File not found: ${sourceFile}`);
+    const sourceExt = path.extname(sourceFile).toLowerCase();
+    if (sourceExt !== '.scad' && !MESH_FORMATS[sourceExt]) {
+      throw new Error(`Unsupported file type: ${sourceExt}. Supported: .scad, ${Object.keys(MESH_FORMATS).join(', ')}.`);
+    }
+    if (params && sourceExt !== '.scad') throw new Error('Parameter overrides can only be applied to .scad files');
+  } else {
+    model = getModel(modelId);
+    sourceFile = model.file;
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported export format: ${format}. Supported: ${EXPORT_FORMATS.join(', ')}.`);
+  }
+
+  let outPath = path.resolve(output);
+  const ext = path.extname(outPath).toLowerCase();
+  if (!ext) outPath += `.${format}`;
+  else if (ext !== `.${format}`) throw new Error(`Output extension ${ext} does not match format "${format}"`);
+
+  assertPathAllowed(outPath);
+  await fsp.mkdir(path.dirname(outPath), { recursive: true });
+
+  const isScad = path.extname(sourceFile).toLowerCase() === '.scad';
+  if (model && format === model.format) {
+    // Already have it: the compiled mesh of a .scad model, or the mesh file itself
+    await fsp.writeFile(outPath, model.meshBuffer);
+  } else if (!model && !isScad && MESH_FORMATS[path.extname(sourceFile).toLowerCase()].format === format) {
+    await fsp.copyFile(sourceFile, outPath);
+  } else {
+    if (!(await checkOpenSCAD())) {
+      throw new Error('OpenSCAD is not installed or not found on $PATH');
+    }
+    const activeParams = !isScad ? {} : params ? { ...params } : getParameters(sourceFile);
+    buildDefineArgs(activeParams); // validate before exporting
+
+    // Mesh models are converted through a one-line import() wrapper
+    let source = sourceFile;
+    if (!isScad) {
+      source = path.join(os.tmpdir(), `openscad-viewer-export-${crypto.randomUUID()}.scad`);
+      await fsp.writeFile(source, `import(${JSON.stringify(sourceFile)});\n`);
+    }
+
+    const extraArgs = format === 'png'
+      ? ['--render', '--autocenter', '--viewall', `--imgsize=${width || 800},${height || 600}`]
+      : [];
+    const result = await exportScad(source, outPath, activeParams, extraArgs);
+    if (!isScad) fsp.unlink(source).catch(() => {});
+    if (result.error) throw new Error(`OpenSCAD export failed:\n${result.error}`);
+  }
+
+  const buffer = await fsp.readFile(outPath);
+  return {
+    success: true,
+    model: model ? model.id : null,
+    file: sourceFile,
+    format,
+    path: outPath,
+    size: buffer.length,
+    summary: summarizeExport(buffer, format),
+  };
+}
+
+function analyzeTool(modelId) {
+  const model = getModel(modelId);
+  return {
+    success: true,
+    id: model.id,
+    file: model.file,
+    ...analyzeMesh(model.positions),
+    parts: colorParts(model.positions, model.faceColors),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Open default browser (cross-platform, no extra dependency)
+// ---------------------------------------------------------------------------
+
+function openBrowser(url) {
+  switch (process.platform) {
+    case 'darwin':  execFile('open', [url]);            break;
+    case 'win32':   execFile('cmd', ['/c', 'start', '', url]); break;
+    default:        execFile('xdg-open', [url]);        break;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// View tool handler (extracted for testability)
+// ---------------------------------------------------------------------------
+
+function hasBrowser() {
+  for (const ws of wsClients) {
+    if (ws.readyState === 1) return true;
+  }
+  return false;
+}
+
+// The point a camera orbits unless told otherwise: the model's bounding box center
+function defaultCameraTarget(model) {
+  if (!model.positions.length) return null;
+  const { min, max } = model.boundingBox;
+  return min.map((v, i) => (v + max[i]) / 2);
+}
+
+// '#rrggbb' or 'rrggbb' to 0xRRGGBB; other values (null, 'transparent') pass through
+const parseHexColor = (value) => (typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value)
+  ? parseInt(value.replace(/^#/, ''), 16)
+  : value ?? null);
+
+// Render a model through the browser (set-camera round trip) or the headless
+// renderer and save the PNG under tmpdir. Both render `width` x `height`
+// offscreen, so captures look the same whatever the browser window size.
+// With `current`, the browser that reported the live camera captures through
+// it without moving it; the camera values are what it last reported. A
+// `revision` renders that revision of the model; the browser switches to it.
+// Callers that already resolved the revision pass it as `mesh`.
+async function captureModel(model, {
+  azimuth, elevation, distance, target, projection = 'perspective', fov = SCENE_STYLE.fov, renderer, section,
+  width = 800, height = 600, style = 'shaded', color = null, background = null, grid = true, axes = false,
+  current = false, revision, mesh = revision != null ? revisionMesh(model, revision) : model,
+}) {
+  // Render in-process when asked to, or when there is no browser to ask
+  const useServer = renderer === 'server' || (renderer !== 'browser' && !hasBrowser());
+  target = target || defaultCameraTarget(mesh);
+  const look = {
+    width, height, style, color: parseHexColor(color), background: parseHexColor(background), grid, axes,
+  };
+
+  let base64;
+  let renderedDistance;
+  if (useServer) {
+    checkServerRenderSize(width, height);
+    const result = renderMeshToPng(mesh.positions, {
+      azimuth, elevation, distance, target, projection, fov, section, faceColors: mesh.faceColors,
+      annotations: model.annotations, ...look,
+    });
+    base64 = result.png.toString('base64');
+    renderedDistance = result.distance;
+    // Keep the viewer in step with what the agent is looking at
+    if (section !== undefined) broadcast({ type: 'section', section });
+  } else if (current) {
+    const response = await sendAndWait({ type: 'capture', id: model.id, revision, ...look }, 10000, liveCamera && liveCamera.ws);
+    base64 = response.dataUrl.replace(/^data:image\/png;base64,/, '');
+    renderedDistance = distance;
+  } else {
+    const message = {
+      type: 'set-camera', id: model.id, azimuth, elevation, distance: distance ?? null, target, projection, fov, revision, ...look,
+    };
+    if (section !== undefined) message.section = section;
+    const response = await sendAndWait(message);
+    base64 = response.dataUrl.replace(/^data:image\/png;base64,/, '');
+    renderedDistance = response.distance || distance;
+  }
+
+  const imagePath = await saveCapture(model.id, Buffer.from(base64, 'base64'));
+  return {
+    base64,
+    imagePath,
+    renderer: useServer ? 'server' : 'browser',
+    camera: { azimuth, elevation, distance: renderedDistance, target, projection, fov },
+    render: { width, height, style, color, background, grid, axes },
+  };
+}
+
+async function handleViewTool({
+  view, azimuth, elevation, distance, target, projection, fov, useCurrentCamera = false,
+  width, height, style, color, background, grid, axes, revision, renderer, model: modelId,
+}) {
+  let model;
+  let live = null;
+  try {
+    if (useCurrentCamera) {
+      live = getCameraTool();
+      if (modelId != null && modelId !== live.id) {
+        throw new Error(`useCurrentCamera shows the model the user is looking at ("${live.id}"), not "${modelId}"`);
+      }
+    }
+    model = getModel(live ? live.id : modelId);
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify({ error: err.message }) }],
+      isError: true,
+    };
+  }
+
+  try {
+    if (live) {
+      if ([view, azimuth, elevation, distance, target, projection, fov].some((v) => v != null)) {
+        throw new Error('useCurrentCamera cannot be combined with view, azimuth, elevation, distance, target, projection or fov');
+      }
+      ({ azimuth, elevation, distance, target, projection, fov } = live);
+      // Default to the user's window size, so the framing matches too
+      width = width ?? live.viewport.width;
+      height = height ?? live.viewport.height;
+    }
+    if (view) {
+      if (azimuth != null || elevation != null) {
+        throw new Error('Pass either a named view or azimuth/elevation, not both');
+      }
+      ({ azimuth, elevation } = NAMED_VIEWS[view]);
+    }
+    azimuth   = azimuth   ?? 45;
+    elevation = elevation ?? 30;
+    const mesh = revision != null ? revisionMesh(model, revision) : model;
+
+    const capture = await captureModel(model, {
+      azimuth, elevation, distance, target, projection, fov,
+      width, height, style, color, background, grid, axes, renderer, current: Boolean(live), revision, mesh,
+    });
+
+    const metadata = {
+      imagePath: capture.imagePath,
+      renderer: capture.renderer,
+      model: model.id,
+      camera: view ? { view, ...capture.camera } : capture.camera,
+      render: capture.render,
+    };
+    if (revision != null) metadata.revision = revision;
+    if (mesh.faceColors) metadata.parts = colorParts(mesh.positions, mesh.faceColors);
+
+    return {
+      content: [
+        { type: 'image', data: capture.base64, mimeType: 'image/png' },
+        { type: 'text', text: JSON.stringify(metadata, null, 2) },
+      ],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify({ error: err.message }) }],
+      isError: true,
+    };
+  }
+}
+
+async function handleViewGridTool({
+  views, columns, width = 400, height = 300, projection = 'perspective', fov = SCENE_STYLE.fov, renderer, model: modelId,
+}) {
+  try {
+    const model = getModel(modelId);
+    const cameras = views.map(resolveGridView);
+    const cols = columns || Math.ceil(Math.sqrt(cameras.length));
+    const target = defaultCameraTarget(model);
+
+    // Render in-process when asked to, or when there is no browser to ask
+    const useServer = renderer === 'server' || (renderer !== 'browser' && !hasBrowser());
+    let tiles;
+    if (useServer) {
+      checkServerRenderSize(width, height, cameras.length);
+      tiles = cameras.map((cam) => {
+        const result = renderMesh(model.positions, {
+          ...cam, target, projection, fov, width, height, faceColors: model.faceColors, annotations: model.annotations,
+        });
+        return { rgba: result.rgba, distance: result.distance };
+      });
+    } else {
+      // One round trip: the browser renders every camera without animating
+      const response = await sendAndWait({
+        type: 'set-camera',
+        id: model.id,
+        views: cameras.map(({ azimuth, elevation, distance }) => ({ azimuth, elevation, distance })),
+        target,
+        projection,
+        fov,
+        width,
+        height,
+      }, 30000);
+      tiles = response.images.map((image) => {
+        const png = decodePng(Buffer.from(image.dataUrl.replace(/^data:image\/png;base64,/, ''), 'base64'));
+        if (png.width !== width || png.height !== height) {
+          throw new Error(`Browser returned a ${png.width}x${png.height} tile, expected ${width}x${height}`);
+        }
+        return { rgba: png.rgba, distance: image.distance };
+      });
+    }
+
+    const sheet = composeContactSheet(
+      tiles.map((tile, i) => ({ rgba: tile.rgba, label: cameras[i].label })),
+      { columns: cols, width, height },
+    );
+    const png = encodePng(sheet.width, sheet.height, sheet.rgba);
+    const imagePath = await saveCapture(model.id, png);
+
+    const metadata = {
+      imagePath,
+      renderer: useServer ? 'server' : 'browser',
+      model: model.id,
+      columns: cols,
+      rows: Math.ceil(cameras.length / cols),
+      tile: { width, height },
+      projection,
+      fov,
+      target,
+      views: cameras.map((cam, i) => ({
+        label: cam.label,
+        column: i % cols,
+        row: Math.floor(i / cols),
+        camera: { azimuth: cam.azimuth, elevation: cam.elevation, distance: tiles[i].distance },
+      })),
+    };
+
+    return {
+      content: [
+        { type: 'image', data: png.toString('base64'), mimeType: 'image/png' },
+        { type: 'text', text: JSON.stringify(metadata, null, 2) },
+      ],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify({ error: err.message }) }],
+      isError: true,
+    };
+  }
+}
+
+async function handleSectionTool({ axis, normal, offset, flip, clear, azimuth, elevation, distance, renderer, model: modelId }) {
+  try {
+    const model = getModel(modelId);
+
+    if (clear) {
+      broadcast({ type: 'section', section: null });
+      return { content: [{ type: 'text', text: JSON.stringify({ success: true, cleared: true }, null, 2) }] };
+    }
+
+    const plane = resolveSectionPlane({ axis, normal, offset, flip }, model.boundingBox);
+    const angles = sectionCameraAngles(plane.normal);
+    azimuth   = azimuth   ?? angles.azimuth;
+    elevation = elevation ?? angles.elevation;
+
+    const capture = await captureModel(model, { azimuth, elevation, distance, renderer, section: plane });
+
+    const metadata = {
+      imagePath: capture.imagePath,
+      renderer: capture.renderer,
+      model: model.id,
+      plane,
+      section: sectionMesh(model.positions, plane),
+      camera: capture.camera,
+    };
+
+    return {
+      content: [
+        { type: 'image', data: capture.base64, mimeType: 'image/png' },
+        { type: 'text', text: JSON.stringify(metadata, null, 2) },
+      ],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify({ error: err.message }) }],
+      isError: true,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// MCP resources
+//
+// Open models are readable as resources, so agents can subscribe and hear
+// about saves and failed compiles instead of polling `view`:
+//   openscad://models/<id>/model.stl          the mesh as binary STL
+//   openscad://models/<id>/metadata.json      file, bounds, revision, compile state
+//   openscad://models/<id>/source.scad        .scad models only
+//   openscad://models/<id>/dependencies.json  .scad models only
+//   openscad://captures/<name>.png            recent view, view_grid and section images
+// ---------------------------------------------------------------------------
+
+const CAPTURE_LIMIT = 20;
+const recentCaptures = [];                // { name, path, model, createdAt }, oldest first
+const resourceSubscriptions = new Map();  // McpServer -> subscribed URIs
+
+const isScadModel = (model) => path.extname(model.file).toLowerCase() === '.scad';
+
+function modelResourceUris(model) {
+  const base = `openscad://models/${model.id}`;
+  const uris = [`${base}/model.stl`, `${base}/metadata.json`];
+  if (isScadModel(model)) uris.push(`${base}/source.scad`, `${base}/dependencies.json`);
+  return uris;
+}
+
+// Tell subscribed clients a model's resources changed (new mesh or failed compile)
+function notifyResourcesUpdated(model) {
+  for (const [mcp, uris] of resourceSubscriptions) {
+    for (const uri of modelResourceUris(model)) {
+      if (uris.has(uri)) mcp.server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  }
+}
+
+// Models were opened or closed, or a capture was added
+function notifyResourceListChanged() {
+  for (const mcp of resourceSubscriptions.keys()) {
+    if (mcp.isConnected()) mcp.server.sendResourceListChanged().catch(() => {});
+  }
+}
+
+// Write a capture PNG under tmpdir and list it as a resource
+async function saveCapture(modelId, png) {
+  const imagePath = path.join(os.tmpdir(), `openscad-viewer-capture-${crypto.randomUUID()}.png`);
+  await fsp.writeFile(imagePath, png);
+  const name = path.basename(imagePath);
+  recentCaptures.push({ name, path: imagePath, model: modelId, createdAt: new Date().toISOString() });
+  recentCaptures.splice(0, recentCaptures.length - CAPTURE_LIMIT);
+  notifyResourceListChanged();
+  return imagePath;
+}
+
+function modelMetadata(model) {
+  const job = compileJobs.get(model.id);
+  const latest = model.revisions[model.revisions.length - 1];
+  const metadata = {
+    id: model.id,
+    file: model.file,
+    format: model.format,
+    active: model.id === activeModelId,
+    boundingBox: model.boundingBox,
+    triangles: model.positions.length / 9,
+    revision: latest.revision,
+    updatedAt: latest.createdAt,
+    // The last compile, which may have failed and left the previous mesh up
+    compile: job ? { ...compileStatus(job), diagnostics: job.diagnostics } : null,
+  };
+  if (model.faceColors) metadata.parts = colorParts(model.positions, model.faceColors);
+  return metadata;
+}
+
+function readModelResource(uri, id, kind) {
+  const model = getModel(id);
+  const json = (value) => ({ contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(value, null, 2) }] });
+  if (kind === 'model.stl') {
+    const stl = model.format === 'stl' ? model.meshBuffer : encodeStl(model.positions);
+    return { contents: [{ uri, mimeType: 'model/stl', blob: Buffer.from(stl).toString('base64') }] };
+  }
+  if (kind === 'metadata.json') return json(modelMetadata(model));
+  if (!isScadModel(model)) throw new Error(`Model "${model.id}" is not a .scad file`);
+  if (kind === 'source.scad') {
+    return { contents: [{ uri, mimeType: 'text/plain', text: fs.readFileSync(model.file, 'utf8') }] };
+  }
+  const { success, ...dependencies } = dependenciesTool(null, model.id);
+  return json(dependencies);
+}
+
+function readCaptureResource(uri, name) {
+  const capture = recentCaptures.find((c) => c.name === name);
+  if (!capture || !fs.existsSync(capture.path)) throw new Error(`No recent capture named "${name}"`);
+  return { contents: [{ uri, mimeType: 'image/png', blob: fs.readFileSync(capture.path).toString('base64') }] };
+}
+
+// ---------------------------------------------------------------------------
+// MCP server (tool registration, shared by main and tests)
+// ---------------------------------------------------------------------------
+
+async function createMcpServer() {
+  const { McpServer, ResourceTemplate } = await import('@modelcontextprotocol/sdk/server/mcp.js');
+  const { SubscribeRequestSchema, UnsubscribeRequestSchema } = await import('@modelcontextprotocol/sdk/types.js');
+  const { z } = await import('zod');
+
+  const mcp = new McpServer({ name: 'openscad-viewer', version: '1.0.0' });
+
+  const scadValue = z.union([z.number(), z.boolean(), z.string(), z.array(z.any())]);
+  const hexColor = z.string().regex(/^#?[0-9a-fA-F]{6}$/, 'Expected a "#rrggbb" color');
+
+  mcp.tool(
+    'open',
+    'Opens a .scad or mesh file (.stl, .3mf, .obj, .off, .amf) in the viewer',
+    {
+      file:   z.string().describe('Absolute or relative path to a .scad, .stl, .3mf, .obj, .off or .amf file'),
+      params: z.record(scadValue).optional().describe('Customizer overrides passed to OpenSCAD as -D name=value (.scad only). Replaces any overrides kept for this file.'),
+      id:     z.string().optional().describe('Model slot id (letters, digits, "-", "_"). Opening into an existing id replaces that model. Default: "default"'),
+    },
+    async ({ file, params, id }) => {
+      try {
+        const result = await openFile(file, { params, id });
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message, diagnostics: err.diagnostics }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'list_models',
+    'Lists the models open in the viewer with their ids, files and bounding boxes',
+    {},
+    async () => ({ content: [{ type: 'text', text: JSON.stringify(listModels(), null, 2) }] }),
+  );
+
+  mcp.tool(
+    'status',
+    'Reports where this viewer is served (URL, MCP URL, discovery file), the loaded file, connected browser count and the OpenSCAD version',
+    {},
+    async () => ({ content: [{ type: 'text', text: JSON.stringify(await statusTool(), null, 2) }] }),
+  );
+
+  mcp.tool(
+    'close',
+    'Closes a model, stopping its file watcher and removing it from the viewer',
+    { id: z.string().optional().describe('Model id to close. Defaults to the active model.') },
+    async ({ id }) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(closeModel(id), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'set_parameters',
+    'Sets OpenSCAD customizer variable overrides for a .scad file and recompiles it if it is open',
+    {
+      params:  z.record(scadValue.nullable()).describe('Map of variable names to values. A null value removes that override.'),
+      file:    z.string().optional().describe('Path to the .scad file. Defaults to the file of the selected model.'),
+      model:   z.string().optional().describe('Model id whose file to target. Defaults to the active model.'),
+      replace: z.boolean().optional().describe('Discard all existing overrides for the file first. Default: false'),
+    },
+    async ({ params, file, model, replace }) => {
+      try {
+        const result = await setParameters(params, { file, model, replace });
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message, diagnostics: err.diagnostics }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'get_parameters',
+    'Lists the customizer parameters declared in a .scad file with their annotations, defaults and active overrides',
+    {
+      file:  z.string().optional().describe('Path to the .scad file. Defaults to the file of the selected model.'),
+      model: z.string().optional().describe('Model id whose file to inspect. Defaults to the active model.'),
+    },
+    async ({ file, model }) => {
+      try {
+        const result = getParametersTool(file, model);
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'export',
+    'Exports a model to STL, 3MF, OFF, AMF, DXF, SVG or PNG using OpenSCAD and returns the written path, size and a format summary',
+    {
+      format: z.enum(['stl', '3mf', 'off', 'amf', 'dxf', 'svg', 'png']).describe('Output format. DXF and SVG need a 2D (projection) design, passed as file since it cannot be opened; PNG is OpenSCAD\'s own --render image.'),
+      output: z.string().describe('Output file path. The format extension is appended if missing.'),
+      file:   z.string().optional().describe('Export this .scad or mesh file straight from source instead of an open model. Use it for 2D designs.'),
+      params: z.record(scadValue).optional().describe('Parameter overrides for file (.scad only). Defaults to the overrides set for that file.'),
+      model:  z.string().optional().describe('Model id to export. Defaults to the active model. Not combined with file.'),
+      width:  z.number().int().positive().optional().describe('PNG width in pixels. Default: 800'),
+      height: z.number().int().positive().optional().describe('PNG height in pixels. Default: 600'),
+    },
+    async (args) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(await exportModel(args), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'compile_status',
+    'Reports OpenSCAD compile progress: whether a compile is running, elapsed time and the latest stderr progress lines',
+    {
+      model: z.string().optional().describe('Model id. Omit to list every model\'s last compile.'),
+    },
+    async ({ model }) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(compileStatusTool(model), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'diagnostics',
+    'Returns the errors, warnings and echo() output of a model\'s last OpenSCAD compile, with file and line locations',
+    {
+      model: z.string().optional().describe('Model id. Defaults to the active model.'),
+    },
+    async ({ model }) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(diagnosticsTool(model), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'dependencies',
+    'Returns the resolved include/use/import dependency tree of a .scad file, with missing files marked',
+    {
+      file:  z.string().optional().describe('Path to the .scad file. Defaults to the file of the selected model.'),
+      model: z.string().optional().describe('Model id whose file to inspect. Defaults to the active model.'),
+    },
+    async ({ file, model }) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(dependenciesTool(file, model), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'analyze',
+    'Analyzes the current model mesh: triangle/vertex counts, volume, surface area, center of mass, open and non-manifold edges, degenerate triangles, shells, and colored parts with their bounding boxes',
+    { model: z.string().optional().describe('Model id to analyze. Defaults to the active model.') },
+    async ({ model }) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(analyzeTool(model), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'history',
+    'Lists a model\'s kept revisions (oldest first): number, time, source file and hash, parameters, bounding box and triangle count. Pass a revision to view to render it',
+    { model: z.string().optional().describe('Model id. Defaults to the active model.') },
+    async ({ model }) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(historyTool(model), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'get_camera',
+    'Returns the user\'s live browser camera: position, target, azimuth/elevation/distance, projection and fov, in the model coordinates view takes',
+    {},
+    async () => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(getCameraTool(), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'get_selection',
+    'Returns the points the user clicked in the browser: model, point, surface normal and triangle, plus the distance when two points are picked',
+    {},
+    async () => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(getSelectionTool(), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'view',
+    'Renders the current model at a specified camera angle and returns a screenshot image and metadata',
+    {
+      view:             z.enum(Object.keys(NAMED_VIEWS)).optional().describe('Standard view in OpenSCAD axis conventions (front looks along +Y, top looks down -Z). Replaces azimuth/elevation.'),
+      azimuth:          z.number().min(0).max(360).optional().describe('Horizontal angle in degrees around the Z axis; 0 is front, 90 is right (0-360). Default: 45'),
+      elevation:        z.number().min(-90).max(90).optional().describe('Vertical angle in degrees above the XY plane (-90 to 90). Default: 30'),
+      distance:         z.number().optional().describe('Distance from the target. Auto-calculated if omitted.'),
+      target:           z.array(z.number()).length(3).optional().describe('[x, y, z] point the camera looks at, in model coordinates. Default: bounding box center'),
+      projection:       z.enum(PROJECTIONS).optional().describe('"perspective" or "orthographic" (no foreshortening, for comparing dimensions). The browser keeps it for later interaction. Default: perspective'),
+      fov:              z.number().min(1).max(120).optional().describe('Vertical field of view in degrees; orthographic views show the same height at the target. Default: 45'),
+      useCurrentCamera: z.boolean().optional().describe('Screenshot exactly what the user sees in the browser (see get_camera). Replaces view, azimuth, elevation, distance, target, projection and fov; width/height default to the browser window size'),
+      width:            z.number().int().min(16).max(4096).optional().describe('Image width in pixels, independent of the browser window. Default: 800. Server renders are limited to 2048x2048 pixels in total.'),
+      height:           z.number().int().min(16).max(4096).optional().describe('Image height in pixels. Default: 600'),
+      style:            z.enum(RENDER_STYLES).optional().describe('"shaded", "wireframe", "edges" (shaded with feature edges) or "xray" (translucent with edges). Default: shaded'),
+      color:            hexColor.optional().describe('Model color as "#rrggbb". Default: the viewer\'s blue'),
+      background:       z.union([z.literal('transparent'), hexColor]).optional().describe('"#rrggbb" or "transparent". Default: the viewer\'s dark background'),
+      grid:             z.boolean().optional().describe('Draw the ground grid. Default: true'),
+      axes:             z.boolean().optional().describe('Draw an X/Y/Z axes gizmo (red/green/blue) in the bottom-left corner. Default: false'),
+      revision:         z.number().int().min(1).optional().describe('Render an earlier revision from history instead of the current mesh; the browser switches to it. Default: current'),
+      model:            z.string().optional().describe('Model id to render. Defaults to the active model.'),
+      renderer:         z.enum(['browser', 'server']).optional().describe('"browser" captures the live viewer; "server" renders headlessly in-process. Default: browser if one is connected, otherwise server'),
+    },
+    async (args) => handleViewTool(args),
+  );
+
+  const gridCamera = z.object({
+    azimuth:   z.number().min(0).max(360).optional().describe('Horizontal angle in degrees. Default: 45'),
+    elevation: z.number().min(-90).max(90).optional().describe('Vertical angle in degrees. Default: 30'),
+    distance:  z.number().optional().describe('Distance from model center. Auto-calculated if omitted.'),
+    label:     z.string().optional().describe('Tile label. Default: "az <azimuth>° el <elevation>°"'),
+  });
+
+  mcp.tool(
+    'view_grid',
+    'Renders several camera angles at once (no animation) and returns one labeled contact-sheet PNG plus each camera\'s metadata',
+    {
+      views:      z.array(z.union([z.enum(Object.keys(NAMED_VIEWS)), gridCamera])).min(1).max(16)
+        .describe('Named views ("front", "back", "left", "right", "top", "bottom", "iso") and/or { azimuth, elevation, distance, label } cameras'),
+      columns:    z.number().int().min(1).max(16).optional().describe('Tiles per row. Default: ceil(sqrt(number of views))'),
+      width:      z.number().int().min(64).max(1600).optional().describe('Tile width in pixels. Default: 400. Server renders are limited to 2048x2048 pixels for the whole sheet.'),
+      height:     z.number().int().min(64).max(1200).optional().describe('Tile height in pixels. Default: 300'),
+      projection: z.enum(PROJECTIONS).optional().describe('"perspective" or "orthographic". Default: perspective'),
+      fov:        z.number().min(1).max(120).optional().describe('Vertical field of view in degrees. Default: 45'),
+      model:      z.string().optional().describe('Model id to render. Defaults to the active model.'),
+      renderer:   z.enum(['browser', 'server']).optional().describe('"browser" captures the live viewer; "server" renders headlessly in-process. Default: browser if one is connected, otherwise server'),
+    },
+    async (args) => handleViewGridTool(args),
+  );
+
+  mcp.tool(
+    'section',
+    'Cuts the model with a clipping plane and returns a screenshot of the capped cross-section plus its area, perimeter and extent',
+    {
+      axis:      z.enum(['x', 'y', 'z']).optional().describe('Plane normal along a model axis. Default: z'),
+      normal:    z.array(z.number()).length(3).optional().describe('Arbitrary plane normal [x, y, z]; overrides axis'),
+      offset:    z.number().optional().describe('Plane position along the normal (normal·p = offset), in model units. Default: through the bounding box center'),
+      flip:      z.boolean().optional().describe('Cut away the other side of the plane. Default: false (the side the normal points to is removed)'),
+      clear:     z.boolean().optional().describe('Remove the clipping plane from the viewer instead of cutting'),
+      azimuth:   z.number().min(0).max(360).optional().describe('Horizontal angle in degrees. Default: looking at the cut face'),
+      elevation: z.number().min(-90).max(90).optional().describe('Vertical angle in degrees. Default: looking at the cut face'),
+      distance:  z.number().optional().describe('Distance from model center. Auto-calculated if omitted.'),
+      model:     z.string().optional().describe('Model id to cut. Defaults to the active model.'),
+      renderer:  z.enum(['browser', 'server']).optional().describe('"browser" captures the live viewer; "server" renders headlessly in-process. Default: browser if one is connected, otherwise server'),
+    },
+    async (args) => handleSectionTool(args),
+  );
+
+  const point = z.array(z.number()).length(3);
+  const annotation = z.object({
+    type:     z.enum(ANNOTATION_TYPES).describe('"marker" (a dot, optionally labeled), "label" (text), "arrow" (from -> to) or "dimension" (a measured line between from and to)'),
+    position: point.optional().describe('[x, y, z] for markers and labels, in model coordinates'),
+    from:     point.optional().describe('Start point for arrows and dimensions'),
+    to:       point.optional().describe('End point; arrows point here'),
+    offset:   point.optional().describe('Dimension only: shift the dimension line off the measured points by this vector, drawing extension lines back to them'),
+    text:     z.string().max(80).optional().describe('Label text. Required for labels; dimensions default to the measured length'),
+    color:    hexColor.optional().describe('"#rrggbb". Default: yellow'),
+  });
+
+  mcp.tool(
+    'annotate',
+    'Adds markers, text labels, arrows and dimension lines at model coordinates. They show in the viewer and in view screenshots, survive recompiles, and return ids for clear_annotations',
+    {
+      annotations: z.array(annotation).min(1).max(50).describe('Annotations to add'),
+      model:       z.string().optional().describe('Model id to annotate. Defaults to the active model.'),
+    },
+    async (args) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(annotateTool(args), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  mcp.tool(
+    'clear_annotations',
+    'Removes annotations by id, or every annotation on a model',
+    {
+      ids:   z.array(z.string()).optional().describe('Annotation ids returned by annotate. Default: all annotations on the model'),
+      model: z.string().optional().describe('Model id. Defaults to the active model.'),
+    },
+    async (args) => {
+      try {
+        return { content: [{ type: 'text', text: JSON.stringify(clearAnnotationsTool(args), null, 2) }] };
+      } catch (err) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
+          isError: true,
+        };
+      }
+    },
+  );
+
+  // ----- Resources --------------------------------------------------------
+  const modelResources = [
+    ['model.stl', 'model/stl', 'Mesh as binary STL', () => true],
+    ['metadata.json', 'application/json', 'File, bounding box, revision and last compile with diagnostics', () => true],
+    ['source.scad', 'text/plain', 'OpenSCAD source', isScadModel],
+    ['dependencies.json', 'application/json', 'Resolved include/use/import tree', isScadModel],
+  ];
+  for (const [kind, mimeType, description, applies] of modelResources) {
+    const list = () => ({
+      resources: [...models.values()].filter(applies).map((m) => ({
+        uri: `openscad://models/${m.id}/${kind}`,
+        name: `${m.id}/${kind}`,
+        title: `${path.basename(m.file)} ${kind}`,
+        mimeType,
+      })),
+    });
+    mcp.registerResource(
+      `model-${kind}`,
+      new ResourceTemplate(`openscad://models/{id}/${kind}`, { list }),
+      { description, mimeType },
+      (uri, { id }) => readModelResource(uri.href, id, kind),
+    );
+  }
 
-// ---------------------------------------------------------------------------
-// OpenSCAD helpers
-// ---------------------------------------------------------------------------
+  mcp.registerResource(
+    'capture',
+    new ResourceTemplate('openscad://captures/{name}', {
+      list: () => ({
+        resources: recentCaptures.map((c) => ({
+          uri: `openscad://captures/${c.name}`,
+          name: c.name,
+          description: `${c.model} at ${c.createdAt}`,
+          mimeType: 'image/png',
+        })),
+      }),
+    }),
+    { description: `The last ${CAPTURE_LIMIT} view, view_grid and section images`, mimeType: 'image/png' },
+    (uri, { name }) => readCaptureResource(uri.href, name),
+  );
 
-function checkOpenSCAD() {
-  return new Promise((resolve) => {
-    execFile('openscad', ['--version'], (err) => resolve(!err));
+  const subscriptions = new Set();
+  resourceSubscriptions.set(mcp, subscriptions);
+  mcp.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+  mcp.server.setRequestHandler(SubscribeRequestSchema, ({ params }) => {
+    subscriptions.add(params.uri);
+    return {};
   });
-}
+  mcp.server.setRequestHandler(UnsubscribeRequestSchema, ({ params }) => {
+    subscriptions.delete(params.uri);
+    return {};
+  });
+  mcp.server.onclose = () => resourceSubscriptions.delete(mcp);
 
-async function compileScad(scadPath) {
-  const tmpStl = path.join(os.tmpdir(), `openscad-viewer-${Date.now()}.stl`);
-  try {
-    await execFileAsync('openscad', ['-o', tmpStl, scadPath], { timeout: 60000 });
-    return { stlPath: tmpStl, error: null };
-  } catch (err) {
-    return { stlPath: null, error: err.stderr || err.message };
-  }
+  return mcp;
 }
 
 // ---------------------------------------------------------------------------
-// STL bounding-box parser (binary + ASCII)
+// Command line, listening address and instance discovery
+//
+//   openscad-viewer [file] [options]            run the viewer
+//   openscad-viewer render <file> -o <out>...   write images or exports and exit
+//
+// The port comes from --port or OPENSCAD_VIEWER_PORT ("auto" for any free
+// port); with neither, 8439 is tried first and a free port taken if it is
+// busy, so several projects can each run a viewer. The URL is written to a
+// discovery file for scripts and other agents to find.
 // ---------------------------------------------------------------------------
 
-function parseStlBoundingBox(buffer) {
-  const min = [Infinity, Infinity, Infinity];
-  const max = [-Infinity, -Infinity, -Infinity];
-
-  // Try binary STL
-  if (buffer.length >= 84) {
-    const numTriangles = buffer.readUInt32LE(80);
-    const expectedSize = 84 + numTriangles * 50;
+const CLI_OPTIONS = {
+  root:         { type: 'string' },
+  openscad:     { type: 'string' },
+  define:       { type: 'string', short: 'D', multiple: true },
+  // Viewer only
+  port:         { type: 'string' },
+  host:         { type: 'string' },
+  'no-browser': { type: 'boolean' },
+  'no-stdio':   { type: 'boolean' },
+  // render only
+  output:       { type: 'string', short: 'o', multiple: true },
+  view:         { type: 'string' },
+  width:        { type: 'string' },
+  height:       { type: 'string' },
+  style:        { type: 'string' },
+  projection:   { type: 'string' },
+  color:        { type: 'string' },
+  background:   { type: 'string' },
+  'no-grid':    { type: 'boolean' },
+  axes:         { type: 'boolean' },
+};
+const VIEWER_OPTIONS = ['port', 'host', 'no-browser', 'no-stdio'];
+const RENDER_OPTIONS = ['output', 'view', 'width', 'height', 'style', 'projection', 'color', 'background', 'no-grid', 'axes'];
+const HEX_COLOR = /^#?[0-9a-f]{6}$/i;
 
-    if (numTriangles > 0 && buffer.length >= expectedSize) {
-      for (let i = 0; i < numTriangles; i++) {
-        const base = 84 + i * 50 + 12; // skip normal vector
-        for (let v = 0; v < 3; v++) {
-          const off = base + v * 12;
-          const x = buffer.readFloatLE(off);
-          const y = buffer.readFloatLE(off + 4);
-          const z = buffer.readFloatLE(off + 8);
-          min[0] = Math.min(min[0], x);  max[0] = Math.max(max[0], x);
-          min[1] = Math.min(min[1], y);  max[1] = Math.max(max[1], y);
-          min[2] = Math.min(min[2], z);  max[2] = Math.max(max[2], z);
-        }
-      }
-      if (min[0] !== Infinity) return { min, max };
+// -D name=value, as with OpenSCAD. Values are read as JSON where they parse
+// (numbers, true/false, arrays, "quoted strings"), otherwise kept as strings.
+function parseDefines(defines = []) {
+  const params = {};
+  for (const define of defines) {
+    const match = /^\s*([^=]*?)\s*=(.*)$/s.exec(define);
+    if (!match || !match[1]) throw new Error(`Invalid -D ${define}: expected name=value`);
+    const name = match[1];
+    if (!PARAMETER_NAME_RE.test(name)) throw new Error(`Invalid parameter name: ${name}`);
+    const raw = match[2].trim();
+    try {
+      params[name] = JSON.parse(raw);
+    } catch {
+      params[name] = raw;
     }
   }
+  return params;
+}
 
-  // ASCII fallback
-  const text = buffer.toString('utf8');
-  const re = /vertex\s+([-\d.eE+]+)\s+([-\d.eE+]+)\s+([-\d.eE+]+)/g;
-  let m;
-  while ((m = re.exec(text)) !== null) {
-    const x = parseFloat(m[1]), y = parseFloat(m[2]), z = parseFloat(m[3]);
-    min[0] = Math.min(min[0], x);  max[0] = Math.max(max[0], x);
-    min[1] = Math.min(min[1], y);  max[1] = Math.max(max[1], y);
-    min[2] = Math.min(min[2], z);  max[2] = Math.max(max[2], z);
+function renderOptions(values) {
+  const pick = (name, allowed, fallback) => {
+    if (values[name] === undefined) return fallback;
+    if (!allowed.includes(values[name])) throw new Error(`--${name} must be one of: ${allowed.join(', ')}`);
+    return values[name];
+  };
+  const size = (name, fallback) => {
+    if (values[name] === undefined) return fallback;
+    const n = Number(values[name]);
+    if (!Number.isInteger(n) || n < 16 || n > 2048) throw new Error(`--${name} must be a whole number of pixels from 16 to 2048`);
+    return n;
+  };
+  if (values.color !== undefined && !HEX_COLOR.test(values.color)) throw new Error('--color must be #rrggbb');
+  if (values.background !== undefined && values.background !== 'transparent' && !HEX_COLOR.test(values.background)) {
+    throw new Error('--background must be #rrggbb or transparent');
   }
-  return { min, max };
+  if (!values.output) throw new Error('render needs at least one --output');
+  return {
+    outputs: values.output,
+    view: pick('view', Object.keys(NAMED_VIEWS), 'iso'),
+    width: size('width', 800),
+    height: size('height', 600),
+    style: pick('style', RENDER_STYLES, 'shaded'),
+    projection: pick('projection', PROJECTIONS, 'perspective'),
+    color: values.color ?? null,
+    background: values.background ?? null,
+    grid: !values['no-grid'],
+    axes: Boolean(values.axes),
+  };
 }
 
-// ---------------------------------------------------------------------------
-// Dependency parsing for .scad files
-// ---------------------------------------------------------------------------
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  const command = positionals[0] === 'render' ? 'render' : 'view';
+  const files = command === 'render' ? positionals.slice(1) : positionals;
+  if (files.length > 1) throw new Error(`Unexpected argument: ${files[1]}`);
 
-function parseScadDependencies(scadPath) {
-  try {
-    const content = fs.readFileSync(scadPath, 'utf8');
-    const deps = [];
-    const re = /(?:include|use)\s*<([^>]+)>/g;
-    let m;
-    while ((m = re.exec(content)) !== null) {
-      const dep = path.resolve(path.dirname(scadPath), m[1]);
-      if (fs.existsSync(dep)) deps.push(dep);
-    }
-    return deps;
-  } catch {
-    return [];
-  }
-}
+  const misplaced = (command === 'render' ? VIEWER_OPTIONS : RENDER_OPTIONS).find((name) => values[name] !== undefined);
+  if (misplaced) throw new Error(`--${misplaced} ${command === 'render' ? 'does not apply to render' : 'only applies to render'}`);
 
-// ---------------------------------------------------------------------------
-// WebSocket helpers
-// ---------------------------------------------------------------------------
+  const cli = {
+    command,
+    file: files[0] || null,
+    root: values.root ?? null,
+    openscad: values.openscad ?? process.env.OPENSCAD_VIEWER_OPENSCAD ?? null,
+    params: parseDefines(values.define),
+  };
+  if (Object.keys(cli.params).length && !cli.file) throw new Error('-D needs a .scad file to apply to');
 
-function broadcast(msg) {
-  const data = JSON.stringify(msg);
-  for (const ws of wsClients) {
-    if (ws.readyState === 1) ws.send(data);
+  if (command === 'render') {
+    if (!cli.file) throw new Error('render needs a file');
+    cli.render = renderOptions(values);
+  } else {
+    cli.port = values.port ?? process.env.OPENSCAD_VIEWER_PORT ?? null;
+    cli.host = values.host ?? process.env.OPENSCAD_VIEWER_HOST ?? DEFAULT_HOST;
+    cli.browser = !values['no-browser'];
+    cli.stdio = !values['no-stdio'];
   }
+  return cli;
 }
 
-function sendAndWait(msg, timeoutMs = 10000) {
-  return new Promise((resolve, reject) => {
-    const requestId = ++requestIdCounter;
-    msg.requestId = requestId;
-
-    const timer = setTimeout(() => {
-      pendingRequests.delete(requestId);
-      reject(new Error('Timeout waiting for browser response'));
-    }, timeoutMs);
-
-    pendingRequests.set(requestId, {
-      resolve(data) { clearTimeout(timer); pendingRequests.delete(requestId); resolve(data); },
-      reject(err)   { clearTimeout(timer); pendingRequests.delete(requestId); reject(err); },
-    });
+// `render`: write every output headlessly. .png outputs open the file and
+// are rendered in-process like `view`; other extensions are exported from the
+// source like the `export` tool's `file`, so 2D designs work too.
+async function renderFile({ file, params, render }) {
+  const overrides = Object.keys(params).length ? params : undefined;
+  let model = null;
+  try {
+    const results = [];
+    for (const output of render.outputs) {
+      const format = path.extname(output).slice(1).toLowerCase();
+      if (!format) throw new Error(`Output ${output} needs an extension: .png, .${EXPORT_FORMATS.filter((f) => f !== 'png').join(', .')}`);
+      if (format !== 'png') {
+        results.push(await exportModel({ format, output, file, params: overrides }));
+        continue;
+      }
 
-    const data = JSON.stringify(msg);
-    for (const ws of wsClients) {
-      if (ws.readyState === 1) { ws.send(data); return; }
+      const outPath = path.resolve(output);
+      assertPathAllowed(outPath);
+      if (!model) model = models.get((await openFile(file, { params: overrides, id: 'render' })).id);
+      const { azimuth, elevation } = NAMED_VIEWS[render.view];
+      const capture = await captureModel(model, {
+        azimuth, elevation, projection: render.projection, renderer: 'server',
+        width: render.width, height: render.height, style: render.style,
+        color: render.color, background: render.background, grid: render.grid, axes: render.axes,
+      });
+      await fsp.mkdir(path.dirname(outPath), { recursive: true });
+      await fsp.rename(capture.imagePath, outPath).catch(() => fsp.writeFile(outPath, capture.base64, 'base64'));
+      results.push({ success: true, model: model.id, format, path: outPath, size: fs.statSync(outPath).size });
     }
-
-    clearTimeout(timer);
-    pendingRequests.delete(requestId);
-    reject(new Error('No browser connected'));
-  });
+    return results;
+  } finally {
+    if (model) closeModel(model.id);
+  }
 }
 
-// ---------------------------------------------------------------------------
-// File watcher
-// ---------------------------------------------------------------------------
-
-function setupWatcher(filePath) {
-  if (watcher) watcher.close();
-
-  const files = [filePath];
-  if (path.extname(filePath).toLowerCase() === '.scad') {
-    files.push(...parseScadDependencies(filePath));
+// Port 0 ("auto") lets the OS pick a free port
+function resolvePort(value) {
+  if (value == null || value === '') return DEFAULT_PORT;
+  if (value === 'auto') return 0;
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${value}. Use 0-65535 or "auto".`);
   }
+  return port;
+}
 
-  watcher = chokidar.watch(files, { ignoreInitial: true });
-  watcher.on('change', () => {
-    if (debounceTimer) clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(() => handleFileChange().catch(err => {
-      log(`Watch handler error: ${err.message}`);
-      broadcast({ type: 'error', message: `File watch error: ${err.message}` });
-    }), 300);
+// Resolves to the bound port
+function listen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    const onError = (err) => {
+      server.off('listening', onListening);
+      reject(err);
+    };
+    const onListening = () => {
+      server.off('error', onError);
+      resolve(server.address().port);
+    };
+    server.once('error', onError);
+    server.once('listening', onListening);
+    server.listen(port, host);
   });
 }
 
-async function handleFileChange() {
-  log(`File changed: ${currentFile}`);
-  const ext = path.extname(currentFile).toLowerCase();
+// Browsers reach loopback and wildcard binds as localhost
+function serverUrl(host, port) {
+  const local = ['127.0.0.1', '::1', 'localhost', '0.0.0.0', '::'].includes(host);
+  const name = local ? 'localhost' : host.includes(':') ? `[${host}]` : host;
+  return `http://${name}:${port}`;
+}
 
-  if (ext === '.scad') {
-    const result = await compileScad(currentFile);
+// Kept in tmpdir, keyed by the root, so nothing is written into the project
+function discoveryFilePath() {
+  const root = path.resolve(process.env.OPENSCAD_VIEWER_ROOT || process.cwd());
+  return path.join(os.tmpdir(), `openscad-viewer-${shortHash(root)}.json`);
+}
 
-    // Re-setup watcher (dependencies may have changed, even on errors)
-    setupWatcher(currentFile);
+function writeDiscoveryFile(info) {
+  const contents = JSON.stringify({
+    pid: process.pid,
+    url: info.url,
+    mcpUrl: info.mcpUrl,
+    host: info.host,
+    port: info.port,
+    root: path.resolve(process.env.OPENSCAD_VIEWER_ROOT || process.cwd()),
+    version: VIEWER_VERSION,
+    startedAt: info.startedAt,
+  }, null, 2);
+  const file = discoveryFilePath();
+  try {
+    fs.writeFileSync(file, contents + '\n');
+    return file;
+  } catch {
+    return null;
+  }
+}
 
-    if (result.error) {
-      log(`Compilation error: ${result.error}`);
-      broadcast({ type: 'error', message: result.error });
-      return;
-    }
-    cleanupTempStl(currentStlPath);
-    currentStlPath = result.stlPath;
-    currentStlBuffer = await fsp.readFile(result.stlPath);
-    lastBoundingBox = parseStlBoundingBox(currentStlBuffer);
-  } else {
-    currentStlBuffer = await fsp.readFile(currentFile);
-    lastBoundingBox = parseStlBoundingBox(currentStlBuffer);
+// Only remove the file if a later viewer for the same root has not replaced it
+function removeDiscoveryFile(file) {
+  try {
+    if (JSON.parse(fs.readFileSync(file, 'utf8')).pid === process.pid) fs.unlinkSync(file);
+  } catch {
+    // Already gone or unreadable
   }
+}
 
-  broadcast({ type: 'model-updated' });
+async function statusTool() {
+  const active = models.get(activeModelId);
+  let browsers = 0;
+  for (const ws of wsClients) if (ws.readyState === 1) browsers++;
+  return {
+    success: true,
+    version: VIEWER_VERSION,
+    url: serverInfo ? serverInfo.url : null,
+    mcpUrl: serverInfo ? serverInfo.mcpUrl : null,
+    discoveryFile: serverInfo ? serverInfo.discoveryFile : null,
+    pid: process.pid,
+    startedAt: serverInfo ? serverInfo.startedAt : null,
+    file: active ? active.file : null,
+    activeModel: activeModelId,
+    models: models.size,
+    browsers,
+    openscadVersion: await getOpenSCADVersion(),
+  };
 }
 
 // ---------------------------------------------------------------------------
-// Open a file (used by both CLI startup and MCP `open` tool)
+// Model routes (the browser fetches meshes over HTTP)
 // ---------------------------------------------------------------------------
 
-async function openFile(filePath) {
-  const absPath = path.resolve(filePath);
-
-  if (!isPathAllowed(absPath)) {
-    throw new Error(
-      `Access denied: ${absPath} is outside the allowed directory. ` +
-      `Set OPENSCAD_VIEWER_ALLOW_ALL_PATHS=1 to disable this restriction.`
-    );
-  }
-
-  if (!fs.existsSync(absPath)) {
-    throw new Error(`File not found: ${absPath}`);
-  }
-
-  const ext = path.extname(absPath).toLowerCase();
-  if (ext !== '.scad' && ext !== '.stl') {
-    throw new Error(`Unsupported file type: ${ext}. Only .scad and .stl are supported.`);
-  }
+function mountModelRoutes(app) {
+  // Active model (kept for single-model clients) and per-model routes
+  app.get('/model.stl', (_req, res) => {
+    const model = models.get(activeModelId);
+    if (!model) return res.status(404).send('No model loaded');
+    res.set({ 'Content-Type': MESH_FORMATS['.stl'].contentType, 'Cache-Control': 'no-store' });
+    res.send(model.format === 'stl' ? model.meshBuffer : encodeStl(model.positions));
+  });
 
-  if (ext === '.scad') {
-    if (!(await checkOpenSCAD())) {
-      throw new Error('OpenSCAD is not installed or not found on $PATH');
-    }
-    const result = await compileScad(absPath);
-    if (result.error) {
-      throw new Error(`OpenSCAD compilation failed:\n${result.error}`);
+  // Served in the model's own format: /model/<id>.stl, /model/<id>.3mf, ...
+  // (and /model/<id>.stl for every model, converted like /model.stl)
+  app.get('/model/:id.:ext', (req, res) => {
+    const model = models.get(req.params.id);
+    if (!model) return res.status(404).send(`No model with id "${req.params.id}"`);
+    if (req.params.ext === model.format) {
+      res.set({ 'Content-Type': MESH_FORMATS[`.${model.format}`].contentType, 'Cache-Control': 'no-store' });
+      return res.send(model.meshBuffer);
     }
-    cleanupTempStl(currentStlPath);
-    currentStlPath = result.stlPath;
-    currentStlBuffer = await fsp.readFile(result.stlPath);
-  } else {
-    cleanupTempStl(currentStlPath);
-    currentStlPath = absPath;
-    currentStlBuffer = await fsp.readFile(absPath);
-  }
-
-  currentFile = absPath;
-  lastBoundingBox = parseStlBoundingBox(currentStlBuffer);
-  setupWatcher(absPath);
-
-  broadcast({ type: 'model-updated' });
-  broadcast({ type: 'file-info', filename: path.basename(absPath) });
+    if (req.params.ext !== 'stl') return res.status(404).send(`Model "${model.id}" is a .${model.format} file`);
+    res.set({ 'Content-Type': MESH_FORMATS['.stl'].contentType, 'Cache-Control': 'no-store' });
+    res.send(encodeStl(model.positions));
+  });
 
-  return {
-    success: true,
-    file: absPath,
-    fileSize: fs.statSync(absPath).size,
-    boundingBox: lastBoundingBox,
-  };
+  // Kept revisions, in the format they were compiled to: /model/<id>/<revision>.off, ...
+  app.get('/model/:id/:revision.:ext', (req, res) => {
+    const model = models.get(req.params.id);
+    if (!model) return res.status(404).send(`No model with id "${req.params.id}"`);
+    const found = model.revisions.find((r) => String(r.revision) === req.params.revision);
+    if (!found || req.params.ext !== found.format) return res.status(404).send(`No such revision of "${model.id}"`);
+    res.set({ 'Content-Type': MESH_FORMATS[`.${found.format}`].contentType, 'Cache-Control': 'no-store' });
+    res.send(found.meshBuffer);
+  });
 }
 
 // ---------------------------------------------------------------------------
-// Open default browser (cross-platform, no extra dependency)
+// Host and origin checks (DNS rebinding and cross-site pages)
+//
+// /mcp and the browser WebSocket only accept a Host header naming this
+// server, so a page on another domain that resolves to us is refused. The
+// WebSocket also requires a browser's Origin to be a page served from here.
 // ---------------------------------------------------------------------------
 
-function openBrowser(url) {
-  switch (process.platform) {
-    case 'darwin':  execFile('open', [url]);            break;
-    case 'win32':   execFile('cmd', ['/c', 'start', '', url]); break;
-    default:        execFile('xdg-open', [url]);        break;
-  }
+function allowedHosts(server) {
+  const { address, port } = server.address();
+  const hosts = ['localhost', '127.0.0.1', '[::1]'];
+  if (!['0.0.0.0', '::'].includes(address)) hosts.push(address.includes(':') ? `[${address}]` : address);
+  return [...new Set(hosts)].map((host) => `${host}:${port}`);
+}
+
+// Non-browser clients send no Origin; they only need the right Host
+function isAllowedUpgrade(req, server) {
+  const hosts = allowedHosts(server);
+  if (!hosts.includes(req.headers.host)) return false;
+  const { origin } = req.headers;
+  return origin === undefined || hosts.some((host) => origin === `http://${host}`);
 }
 
 // ---------------------------------------------------------------------------
-// View tool handler (extracted for testability)
+// MCP over Streamable HTTP (POST/GET/DELETE /mcp on the viewer's port)
+//
+// Lets agents other than the one that spawned the viewer attach to it. Each
+// client session gets its own McpServer, with its own resource subscriptions;
+// the open models, camera and selection are shared by every session, stdio
+// and the browser.
 // ---------------------------------------------------------------------------
 
-async function handleViewTool({ azimuth, elevation, distance }) {
-  if (!currentFile) {
-    return {
-      content: [{ type: 'text', text: JSON.stringify({ error: 'No model currently loaded' }) }],
-      isError: true,
-    };
-  }
+const mcpSessions = new Map(); // session id -> { transport, requests, idleTimer }
+// Sessions with no request or notification stream open for this long are
+// closed, so clients that vanish without a DELETE don't pile up
+const MCP_SESSION_IDLE_MS = 30 * 60 * 1000;
 
-  azimuth   = azimuth   ?? 45;
-  elevation = elevation ?? 30;
+function mountMcpHttp(app, server, { idleTimeoutMs = MCP_SESSION_IDLE_MS } = {}) {
+  const rpcError = (res, status, code, message) => res.status(status).json({ jsonrpc: '2.0', error: { code, message }, id: null });
 
-  try {
-    const response = await sendAndWait({
-      type: 'set-camera',
-      azimuth,
-      elevation,
-      distance: distance ?? null,
-    });
+  app.all('/mcp', express.json({ limit: '1mb' }), async (req, res) => {
+    const { StreamableHTTPServerTransport } = await import('@modelcontextprotocol/sdk/server/streamableHttp.js');
+    const { isInitializeRequest } = await import('@modelcontextprotocol/sdk/types.js');
+    const sessionId = req.get('mcp-session-id');
+    let session = sessionId && mcpSessions.get(sessionId);
+    try {
+      if (!session) {
+        if (sessionId) return rpcError(res, 404, -32001, `Unknown or closed session: ${sessionId}`);
+        if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+          return rpcError(res, 400, -32000, 'No session: send an initialize request first');
+        }
+        const created = { transport: null, requests: 0, idleTimer: null };
+        created.transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => crypto.randomUUID(),
+          onsessioninitialized: (id) => {
+            mcpSessions.set(id, created);
+            log(`MCP HTTP session started: ${id}`);
+          },
+          enableDnsRebindingProtection: true,
+          allowedHosts: allowedHosts(server),
+        });
+        created.transport.onclose = () => {
+          clearTimeout(created.idleTimer);
+          const id = created.transport.sessionId;
+          if (id && mcpSessions.delete(id)) log(`MCP HTTP session closed: ${id}`);
+        };
+        const mcp = await createMcpServer();
+        await mcp.connect(created.transport);
+        session = created;
+      }
 
-    const base64 = response.dataUrl.replace(/^data:image\/png;base64,/, '');
-    const tmpPath = path.join(os.tmpdir(), `openscad-viewer-capture-${Date.now()}.png`);
-    await fsp.writeFile(tmpPath, base64, 'base64');
+      // The idle clock runs only while no request or GET stream is open
+      session.requests++;
+      clearTimeout(session.idleTimer);
+      res.on('close', () => {
+        if (--session.requests > 0) return;
+        session.idleTimer = setTimeout(() => {
+          log(`MCP HTTP session idle, closing: ${session.transport.sessionId}`);
+          session.transport.close().catch(() => {});
+        }, idleTimeoutMs);
+        session.idleTimer.unref();
+      });
+      await session.transport.handleRequest(req, res, req.body);
+    } catch (err) {
+      log('MCP HTTP request failed:', err.message);
+      if (!res.headersSent) rpcError(res, 500, -32603, 'Internal server error');
+    }
+  });
+}
 
-    const metadata = {
-      imagePath: tmpPath,
-      camera: { azimuth, elevation, distance: response.distance || distance },
-    };
+// ---------------------------------------------------------------------------
+// Browser libraries
+//
+// React, Three.js and its addons (OrbitControls, the mesh loaders) are served
+// from the installed npm packages under /vendor, so the viewer needs no
+// network access.
+// ---------------------------------------------------------------------------
 
-    return {
-      content: [
-        { type: 'image', data: base64, mimeType: 'image/png' },
-        { type: 'text', text: JSON.stringify(metadata, null, 2) },
-      ],
-    };
-  } catch (err) {
-    return {
-      content: [{ type: 'text', text: JSON.stringify({ error: err.message }) }],
-      isError: true,
-    };
+// Root of an installed package, wherever npm placed it (three exports no package.json)
+function packageRoot(name) {
+  const notInstalled = () => new Error(`Package "${name}" is not installed: run npm install in ${__dirname}`);
+  let dir;
+  try {
+    dir = path.dirname(require.resolve(name));
+  } catch {
+    throw notInstalled();
+  }
+  while (!fs.existsSync(path.join(dir, 'package.json'))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) throw notInstalled(); // reached the filesystem root
+    dir = parent;
   }
+  return dir;
+}
+
+// [route, directory] pairs; only the parts the page loads are exposed
+function vendorAssets() {
+  const three = packageRoot('three');
+  return [
+    ['/vendor/react', path.join(packageRoot('react'), 'umd')],
+    ['/vendor/react-dom', path.join(packageRoot('react-dom'), 'umd')],
+    ['/vendor/three/build', path.join(three, 'build')],
+    ['/vendor/three/examples/jsm', path.join(three, 'examples', 'jsm')],
+  ];
 }
 
 // ---------------------------------------------------------------------------
@@ -339,16 +4203,26 @@ async function handleViewTool({ azimuth, elevation, distance }) {
 // ---------------------------------------------------------------------------
 
 async function main() {
-  const args = process.argv.slice(2);
-
-  const filePath = args[0] || null;
+  let cli;
+  let requestedPort;
+  try {
+    cli = parseCli(process.argv.slice(2));
+    if (cli.command === 'view') requestedPort = resolvePort(cli.port);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+  }
+  const filePath = cli.file;
+  // --root takes the place of OPENSCAD_VIEWER_ROOT for path checks and discovery
+  if (cli.root) process.env.OPENSCAD_VIEWER_ROOT = path.resolve(cli.root);
+  if (cli.openscad) openscadBinary = cli.openscad;
 
   if (filePath) {
     const ext = path.extname(filePath).toLowerCase();
     if (ext === '.scad' && !(await checkOpenSCAD())) {
       process.stderr.write(
         'Error: OpenSCAD is not installed or not found on $PATH.\n' +
-        'Install OpenSCAD to view .scad files, or provide a .stl file instead.\n'
+        'Install OpenSCAD to view .scad files, or provide a mesh file (.stl, .3mf, .obj, .off, .amf) instead.\n'
       );
       process.exit(1);
     }
@@ -356,107 +4230,107 @@ async function main() {
     log('No file specified — starting in standby mode. Use the "open" MCP tool to load a model.');
   }
 
+  // ----- One-shot render --------------------------------------------------
+  if (cli.command === 'render') {
+    try {
+      for (const result of await renderFile(cli)) process.stdout.write(`${result.path}\n`);
+    } catch (err) {
+      process.stderr.write(`Error: ${err.message}\n`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
   // ----- Express ----------------------------------------------------------
   const app = express();
   const server = http.createServer(app);
 
   app.use(express.static(path.join(__dirname, 'public')));
+  for (const [route, dir] of vendorAssets()) app.use(route, express.static(dir));
 
-  app.get('/model.stl', (_req, res) => {
-    if (!currentStlBuffer) return res.status(404).send('No model loaded');
-    res.set({ 'Content-Type': 'application/octet-stream', 'Cache-Control': 'no-store' });
-    res.send(currentStlBuffer);
-  });
+  mountModelRoutes(app);
+  mountMcpHttp(app, server);
 
   // ----- WebSocket --------------------------------------------------------
-  const wss = new WebSocketServer({ server });
+  const wss = new WebSocketServer({
+    server,
+    verifyClient: ({ req }) => {
+      if (isAllowedUpgrade(req, server)) return true;
+      log(`Refused WebSocket from origin ${req.headers.origin || '(none)'} for host ${req.headers.host}`);
+      return false;
+    },
+  });
+  // Listen errors reach the server too; they are handled when starting it
+  wss.on('error', () => {});
 
   wss.on('connection', (ws) => {
     wsClients.add(ws);
     log('Browser connected');
 
-    if (currentFile) {
-      ws.send(JSON.stringify({ type: 'file-info', filename: path.basename(currentFile) }));
-      ws.send(JSON.stringify({ type: 'model-updated' }));
+    ws.send(JSON.stringify(modelsMessage()));
+    for (const model of models.values()) {
+      ws.send(JSON.stringify({ type: 'file-info', id: model.id, filename: path.basename(model.file) }));
+      ws.send(JSON.stringify(modelUpdatedMessage(model)));
+      ws.send(JSON.stringify(parametersMessage(model)));
+      ws.send(JSON.stringify(annotationsMessage(model)));
+      ws.send(JSON.stringify(historyMessage(model)));
+    }
+    for (const job of compileJobs.values()) {
+      if (job.state === 'compiling') ws.send(JSON.stringify({ type: 'compile-status', ...compileStatus(job) }));
+      else ws.send(JSON.stringify(diagnosticsMessage(job)));
     }
 
     ws.on('message', (raw) => {
       try {
-        const msg = JSON.parse(raw);
-        if (msg.requestId && pendingRequests.has(msg.requestId)) {
-          pendingRequests.get(msg.requestId).resolve(msg);
-        }
+        handleBrowserMessage(JSON.parse(raw), ws);
       } catch (e) {
         log('Bad message from browser:', e.message);
       }
     });
 
-    ws.on('close', () => { wsClients.delete(ws); log('Browser disconnected'); });
+    ws.on('close', () => { handleBrowserClose(ws); log('Browser disconnected'); });
   });
 
   // ----- Start HTTP server ------------------------------------------------
+  let port;
   try {
-    await new Promise((resolve, reject) => {
-      server.on('error', (err) => {
-        reject(err.code === 'EADDRINUSE'
-          ? new Error(`Port ${PORT} is already in use`)
-          : err);
-      });
-      server.listen(PORT, '127.0.0.1', resolve);
-    });
+    port = await listen(server, requestedPort, cli.host);
   } catch (err) {
-    process.stderr.write(`Error: ${err.message}\n`);
+    const message = err.code === 'EADDRINUSE'
+      ? `Port ${requestedPort} is already in use; pass --port <n> for another port, or --port auto for any free one`
+      : err.message;
+    process.stderr.write(`Error: ${message}\n`);
     process.exit(1);
   }
 
-  log(`Server running at http://localhost:${PORT}`);
+  const url = serverUrl(cli.host, port);
+  serverInfo = { host: cli.host, port, url, mcpUrl: `${url}/mcp`, startedAt: new Date().toISOString(), discoveryFile: null };
+  serverInfo.discoveryFile = writeDiscoveryFile(serverInfo);
+  if (serverInfo.discoveryFile) {
+    const file = serverInfo.discoveryFile;
+    process.on('exit', () => removeDiscoveryFile(file));
+  }
+
+  log(`Server running at ${url}`);
+  log(`MCP over HTTP at ${serverInfo.mcpUrl}`);
 
   // ----- Open initial file ------------------------------------------------
   if (filePath) {
     try {
-      await openFile(filePath);
-      log(`Opened: ${currentFile}`);
+      const params = Object.keys(cli.params).length ? cli.params : undefined;
+      const result = await openFile(filePath, { params });
+      log(`Opened: ${result.file}`);
     } catch (err) {
       process.stderr.write(`Error: ${err.message}\n`);
       process.exit(1);
     }
-    openBrowser(`http://localhost:${PORT}`);
+    if (cli.browser) openBrowser(url);
   }
 
   // ----- MCP server (stdio) ----------------------------------------------
-  const { McpServer } = await import('@modelcontextprotocol/sdk/server/mcp.js');
+  if (!cli.stdio) return;
   const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
-  const { z } = await import('zod');
-
-  const mcp = new McpServer({ name: 'openscad-viewer', version: '1.0.0' });
-
-  mcp.tool(
-    'open',
-    'Opens a .scad or .stl file in the viewer',
-    { file: z.string().describe('Absolute or relative path to a .scad or .stl file') },
-    async ({ file }) => {
-      try {
-        const result = await openFile(file);
-        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
-      } catch (err) {
-        return {
-          content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
-          isError: true,
-        };
-      }
-    },
-  );
-
-  mcp.tool(
-    'view',
-    'Renders the current model at a specified camera angle and returns a screenshot image and metadata',
-    {
-      azimuth:   z.number().min(0).max(360).optional().describe('Horizontal angle in degrees (0-360). Default: 45'),
-      elevation: z.number().min(-90).max(90).optional().describe('Vertical angle in degrees (-90 to 90). Default: 30'),
-      distance:  z.number().optional().describe('Distance from model center. Auto-calculated if omitted.'),
-    },
-    async (args) => handleViewTool(args),
-  );
+  const mcp = await createMcpServer();
 
   const transport = new StdioServerTransport();
   await mcp.connect(transport);
@@ -464,7 +4338,7 @@ async function main() {
 }
 
 if (require.main === module) {
-  process.on('exit', () => cleanupTempStl(currentStlPath));
+  process.on('exit', () => { for (const model of models.values()) cleanupTempStl(model.meshPath); });
   process.on('SIGINT', () => process.exit());
   process.on('SIGTERM', () => process.exit());
 
@@ -476,12 +4350,69 @@ if (require.main === module) {
 
 module.exports = {
   parseStlBoundingBox,
+  parseStlTriangles,
+  parseMeshFile,
+  colorParts,
+  analyzeMesh,
+  sectionMesh,
+  resolveSectionPlane,
+  renderStlToPng,
+  encodePng,
+  decodePng,
+  composeContactSheet,
   parseScadDependencies,
+  parseDepfile,
+  parseDiagnostics,
+  lookupCompileCache,
+  storeCompileCache,
+  pruneCompileCache,
+  resolveDependencyTree,
+  PARAMETER_NAME_RE,
+  buildDefineArgs,
+  parseScadParameters,
   openFile,
+  queueCompile,
+  compileStatusTool,
+  diagnosticsTool,
+  exportModel,
+  closeModel,
+  listModels,
+  setParameters,
   handleViewTool,
+  handleBrowserMessage,
+  handleBrowserClose,
+  annotateTool,
+  clearAnnotationsTool,
+  historyTool,
+  annotationPrimitives,
+  createMcpServer,
+  isAllowedUpgrade,
+  mountModelRoutes,
+  mountMcpHttp,
+  packageRoot,
+  vendorAssets,
+  parseCli,
+  resolvePort,
+  renderFile,
+  statusTool,
   isPathAllowed,
   cleanupTempStl,
-  cleanup() { if (watcher) { watcher.close(); watcher = null; } },
-  resetState() { cleanupTempStl(currentStlPath); currentFile = null; currentStlPath = null; currentStlBuffer = null; lastBoundingBox = null; },
+  cleanup() { for (const model of models.values()) { if (model.watcher) { model.watcher.close(); model.watcher = null; } } },
+  resetState() {
+    for (const model of models.values()) {
+      if (model.watcher) model.watcher.close();
+      if (model.debounceTimer) clearTimeout(model.debounceTimer);
+      cleanupTempStl(model.meshPath);
+    }
+    for (const id of [...compileJobs.keys()]) cancelCompile(id);
+    models.clear();
+    activeModelId = null;
+    parameterOverrides.clear();
+    liveCamera = null;
+    serverInfo = null;
+    selection = { ws: null, picks: [], updatedAt: null };
+    recentCaptures.length = 0;
+    annotationIdCounter = 0;
+  },
   main,
 };
@@ -3,8 +3,10 @@ const assert = require('node:assert/strict');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
 
-const { parseStlBoundingBox, parseScadDependencies, openFile, handleViewTool, isPathAllowed, cleanupTempStl, cleanup, resetState } = require('../index.js');
+const { parseStlBoundingBox, parseStlTriangles, parseMeshFile, colorParts, analyzeMesh, sectionMesh, resolveSectionPlane, renderStlToPng, encodePng, decodePng, composeContactSheet, parseScadDependencies, parseDepfile, parseDiagnostics, lookupCompileCache, storeCompileCache, pruneCompileCache, resolveDependencyTree, PARAMETER_NAME_RE, buildDefineArgs, parseScadParameters, openFile, queueCompile, compileStatusTool, diagnosticsTool, exportModel, closeModel, listModels, setParameters, handleBrowserMessage, handleBrowserClose, annotateTool, clearAnnotationsTool, historyTool, isPathAllowed, cleanupTempStl, createMcpServer, isAllowedUpgrade, mountModelRoutes, mountMcpHttp, packageRoot, vendorAssets, parseCli, resolvePort, renderFile, cleanup, resetState } = require('../index.js');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -12,6 +14,7 @@ const { parseStlBoundingBox, parseScadDependencies, openFile, handleViewTool, is
 
 const SAMPLES_DIR = path.join(__dirname, '..', 'samples');
 const EXAMPLE_STL = path.join(SAMPLES_DIR, 'example.stl');
+const HAS_OPENSCAD = spawnSync('openscad', ['--version']).status === 0;
 
 /**
  * Build a minimal binary STL buffer with one triangle.
@@ -40,6 +43,88 @@ function makeBinaryStl(triangles) {
   return Buffer.concat([header, countBuf, ...triBuffers]);
 }
 
+/**
+ * Build a zip archive (deflated entries) from { name: content }.
+ */
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const packed = zlib.deflateRawSync(data);
+    const nameBuf = Buffer.from(name);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(zlib.crc32(data), 14);
+    header.writeUInt32LE(packed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuf.length, 26);
+    locals.push(header, nameBuf, packed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+    offset += header.length + nameBuf.length + packed.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+// Unit cube as shared vertices + outward-wound quads (for OBJ/OFF/3MF/AMF fixtures)
+const CUBE_VERTICES = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const CUBE_QUADS = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [3, 7, 6, 2], [0, 4, 7, 3], [1, 2, 6, 5]];
+const CUBE_TRIANGLES = CUBE_QUADS.flatMap(([a, b, c, d]) => [[a, b, c], [a, c, d]]);
+
+// Two unit cubes side by side (x 0..1 and 2..3), faces colored per cube
+function twoCubeOff(colorA, colorB) {
+  return [
+    'OFF',
+    '16 12 0',
+    ...CUBE_VERTICES.map((v) => v.join(' ')),
+    ...CUBE_VERTICES.map(([x, y, z]) => `${x + 2} ${y} ${z}`),
+    ...CUBE_QUADS.map((q) => `4 ${q.join(' ')} ${colorA}`.trim()),
+    ...CUBE_QUADS.map((q) => `4 ${q.map((i) => i + 8).join(' ')} ${colorB}`.trim()),
+  ].join('\n');
+}
+
+function assertClose(actual, expected, eps = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${actual} to be close to ${expected}`);
+}
+
+/**
+ * Flat triangle positions for an outward-wound axis-aligned cube.
+ */
+function cubePositions(size = 1, offset = [0, 0, 0]) {
+  const [ox, oy, oz] = offset;
+  const v = (x, y, z) => [ox + x * size, oy + y * size, oz + z * size];
+  const quads = [
+    [v(0, 0, 0), v(0, 1, 0), v(1, 1, 0), v(1, 0, 0)], // bottom (-z)
+    [v(0, 0, 1), v(1, 0, 1), v(1, 1, 1), v(0, 1, 1)], // top (+z)
+    [v(0, 0, 0), v(1, 0, 0), v(1, 0, 1), v(0, 0, 1)], // front (-y)
+    [v(0, 1, 0), v(0, 1, 1), v(1, 1, 1), v(1, 1, 0)], // back (+y)
+    [v(0, 0, 0), v(0, 0, 1), v(0, 1, 1), v(0, 1, 0)], // left (-x)
+    [v(1, 0, 0), v(1, 1, 0), v(1, 1, 1), v(1, 0, 1)], // right (+x)
+  ];
+  return quads.flatMap(([a, b, c, d]) => [...a, ...b, ...c, ...a, ...c, ...d]);
+}
+
 // ---------------------------------------------------------------------------
 // parseStlBoundingBox
 // ---------------------------------------------------------------------------
@@ -127,6 +212,455 @@ endsolid test`;
   });
 });
 
+// ---------------------------------------------------------------------------
+// parseStlTriangles
+// ---------------------------------------------------------------------------
+
+describe('parseStlTriangles', () => {
+  it('parses ASCII STL from sample file', () => {
+    const positions = parseStlTriangles(fs.readFileSync(EXAMPLE_STL));
+    assert.strictEqual(positions.length % 9, 0);
+    assert.strictEqual(positions.length / 9, 16);
+  });
+
+  it('parses a binary STL buffer', () => {
+    const buf = makeBinaryStl([
+      { normal: [0, 0, 1], vertices: [[0, 0, 0], [1, 0, 0], [0, 1, 0]] },
+    ]);
+    assert.deepStrictEqual(Array.from(parseStlTriangles(buf)), [0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  });
+
+  it('returns an empty array for an empty buffer', () => {
+    assert.strictEqual(parseStlTriangles(Buffer.alloc(0)).length, 0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseMeshFile (3MF, OBJ, OFF, AMF)
+// ---------------------------------------------------------------------------
+
+describe('parseMeshFile', () => {
+  const cube3mfModel = (transform) => `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">
+  <resources>
+    <object id="1" name="Cube" type="model">
+      <mesh>
+        <vertices>${CUBE_VERTICES.map(([x, y, z]) => `<vertex x="${x}" y="${y}" z="${z}"/>`).join('')}</vertices>
+        <triangles>${CUBE_TRIANGLES.map(([a, b, c]) => `<triangle v1="${a}" v2="${b}" v3="${c}"/>`).join('')}</triangles>
+      </mesh>
+    </object>
+  </resources>
+  <build><item objectid="1"${transform ? ` transform="${transform}"` : ''}/></build>
+</model>`;
+
+  const cubeAmf = `<?xml version="1.0" encoding="UTF-8"?>
+<amf unit="inch">
+  <object id="0">
+    <mesh>
+      <vertices>${CUBE_VERTICES.map(([x, y, z]) => `<vertex><coordinates><x>${x}</x><y>${y}</y><z>${z}</z></coordinates></vertex>`).join('')}</vertices>
+      <volume>${CUBE_TRIANGLES.map(([a, b, c]) => `<triangle><v1>${a}</v1><v2>${b}</v2><v3>${c}</v3></triangle>`).join('')}</volume>
+    </mesh>
+  </object>
+</amf>`;
+
+  it('parses OBJ polygons with fan triangulation and negative indices', () => {
+    const obj = [
+      '# cube',
+      'o Cube',
+      ...CUBE_VERTICES.map((v) => `v ${v.join(' ')}`),
+      'usemtl steel',
+      ...CUBE_QUADS.slice(0, 5).map((q) => `f ${q.map((i) => `${i + 1}/1/1`).join(' ')}`),
+      `f ${CUBE_QUADS[5].map((i) => i - 8).join(' ')}`,
+    ].join('\n');
+    const { positions, metadata } = parseMeshFile(Buffer.from(obj), 'obj');
+
+    assert.strictEqual(positions.length / 9, 12);
+    assertClose(analyzeMesh(positions).volume, 1);
+    assert.deepStrictEqual(metadata, { vertices: 8, objects: ['Cube'], materials: ['steel'] });
+  });
+
+  it('parses OFF with counts on the header line and face colors', () => {
+    const off = [
+      'OFF 8 6 0',
+      ...CUBE_VERTICES.map((v) => v.join(' ')),
+      ...CUBE_QUADS.map((q) => `4 ${q.join(' ')} 255 0 0`),
+    ].join('\n');
+    const { positions, faceColors, metadata } = parseMeshFile(Buffer.from(off), 'off');
+
+    assert.strictEqual(positions.length / 9, 12);
+    assert.strictEqual(analyzeMesh(positions).watertight, true);
+    assert.deepStrictEqual(metadata, { vertices: 8, faces: 6 });
+    assert.deepStrictEqual([...faceColors], new Array(12).fill(0xff0000));
+  });
+
+  it('reads 0-1 float OFF colors and marks uncolored faces', () => {
+    const { faceColors } = parseMeshFile(Buffer.from(twoCubeOff('0.0 0.5 1.0 1.0', '')), 'off');
+
+    assert.deepStrictEqual([...faceColors.slice(0, 12)], new Array(12).fill(0x0080ff));
+    assert.deepStrictEqual([...faceColors.slice(12)], new Array(12).fill(-1));
+    assert.strictEqual(parseMeshFile(Buffer.from(twoCubeOff('', '')), 'off').faceColors, null);
+  });
+
+  it('rejects OFF files without a header', () => {
+    assert.throws(() => parseMeshFile(Buffer.from('8 6 0'), 'off'), /Not an OFF file/);
+  });
+
+  it('rejects truncated OFF files', () => {
+    const off = 'OFF\n3 1 0\n0 0 0\n1 0 0\n0 1 0\n3 0 1 2\n';
+    assert.throws(() => parseMeshFile(Buffer.from(off.split('\n').slice(0, 4).join('\n')), 'off'), /Invalid OFF: expected 3 vertices/);
+    assert.throws(() => parseMeshFile(Buffer.from(off.split('\n').slice(0, 5).join('\n')), 'off'), /Invalid OFF: expected 1 faces/);
+    assert.throws(() => parseMeshFile(Buffer.from('OFF\n'), 'off'), /Invalid OFF: missing vertex and face counts/);
+  });
+
+  it('parses 3MF archives and applies build item transforms', () => {
+    const zip = makeZip({ '3D/3dmodel.model': cube3mfModel('1 0 0 0 1 0 0 0 1 10 0 0') });
+    const { positions, metadata } = parseMeshFile(zip, '3mf');
+    const stats = analyzeMesh(positions);
+
+    assert.deepStrictEqual(stats.boundingBox, { min: [10, 0, 0], max: [11, 1, 1] });
+    assertClose(stats.volume, 1);
+    assert.deepStrictEqual(metadata, {
+      unit: 'millimeter',
+      objects: [{ id: '1', name: 'Cube', triangles: 12 }],
+      buildItems: 1,
+    });
+  });
+
+  it('reads 3MF base material and color group colors', () => {
+    const model = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02"
+  xmlns:m="http://schemas.microsoft.com/3dmanufacturing/material/2015/02">
+  <resources>
+    <basematerials id="1"><base name="red" displaycolor="#FF0000FF"/><base name="blue" displaycolor="#0000FF"/></basematerials>
+    <m:colorgroup id="2"><m:color color="#00FF00FF"/></m:colorgroup>
+    <object id="3" type="model" pid="1" pindex="1">
+      <mesh>
+        <vertices>${CUBE_VERTICES.map(([x, y, z]) => `<vertex x="${x}" y="${y}" z="${z}"/>`).join('')}</vertices>
+        <triangles>${CUBE_TRIANGLES.map(([a, b, c], i) => `<triangle v1="${a}" v2="${b}" v3="${c}"${
+          i === 0 ? ' p1="0"' : i === 1 ? ' pid="2" p1="0"' : ''}/>`).join('')}</triangles>
+      </mesh>
+    </object>
+  </resources>
+  <build><item objectid="3"/></build>
+</model>`;
+    const { faceColors } = parseMeshFile(makeZip({ '3D/3dmodel.model': model }), '3mf');
+
+    assert.deepStrictEqual([...faceColors], [0xff0000, 0x00ff00, ...new Array(10).fill(0x0000ff)]);
+    assert.strictEqual(parseMeshFile(makeZip({ '3D/3dmodel.model': cube3mfModel() }), '3mf').faceColors, null);
+  });
+
+  it('parses plain and zipped AMF', () => {
+    for (const buf of [Buffer.from(cubeAmf), makeZip({ 'cube.amf': cubeAmf })]) {
+      const { positions, metadata } = parseMeshFile(buf, 'amf');
+      assert.strictEqual(positions.length / 9, 12);
+      assertClose(analyzeMesh(positions).volume, 1);
+      assert.deepStrictEqual(metadata, { unit: 'inch', objects: [{ id: '0', triangles: 12 }] });
+    }
+  });
+
+  it('reports STL encoding', () => {
+    assert.deepStrictEqual(parseMeshFile(fs.readFileSync(EXAMPLE_STL), 'stl').metadata, { encoding: 'ascii' });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// colorParts
+// ---------------------------------------------------------------------------
+
+describe('colorParts', () => {
+  it('groups triangles by color with a bounding box per part', () => {
+    const { positions, faceColors } = parseMeshFile(Buffer.from(twoCubeOff('255 0 0', '')), 'off');
+
+    assert.deepStrictEqual(colorParts(positions, faceColors), [
+      { color: '#ff0000', triangles: 12, boundingBox: { min: [0, 0, 0], max: [1, 1, 1] } },
+      { color: null, triangles: 12, boundingBox: { min: [2, 0, 0], max: [3, 1, 1] } },
+    ]);
+  });
+
+  it('returns no parts for an uncolored mesh', () => {
+    assert.deepStrictEqual(colorParts(parseStlTriangles(fs.readFileSync(EXAMPLE_STL)), null), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// analyzeMesh
+// ---------------------------------------------------------------------------
+
+describe('analyzeMesh', () => {
+  it('reports stats for a closed cube', () => {
+    const stats = analyzeMesh(new Float32Array(cubePositions(2)));
+
+    assert.strictEqual(stats.triangleCount, 12);
+    assert.strictEqual(stats.vertexCount, 8);
+    assert.strictEqual(stats.edgeCount, 18);
+    assertClose(stats.volume, 8);
+    assertClose(stats.signedVolume, 8);
+    assertClose(stats.surfaceArea, 24);
+    stats.centerOfMass.forEach((c) => assertClose(c, 1));
+    assert.deepStrictEqual(stats.boundingBox, { min: [0, 0, 0], max: [2, 2, 2] });
+    assert.strictEqual(stats.openEdges, 0);
+    assert.strictEqual(stats.nonManifoldEdges, 0);
+    assert.strictEqual(stats.degenerateTriangles, 0);
+    assert.strictEqual(stats.shells, 1);
+    assert.strictEqual(stats.watertight, true);
+    assert.strictEqual(stats.inverted, false);
+  });
+
+  it('counts disconnected shells', () => {
+    const stats = analyzeMesh(new Float32Array([...cubePositions(1), ...cubePositions(1, [5, 0, 0])]));
+
+    assert.strictEqual(stats.shells, 2);
+    assertClose(stats.volume, 2);
+    assert.strictEqual(stats.watertight, true);
+  });
+
+  it('detects open edges when a face is missing', () => {
+    const stats = analyzeMesh(new Float32Array(cubePositions(1).slice(9)));
+
+    assert.strictEqual(stats.openEdges, 3);
+    assert.strictEqual(stats.watertight, false);
+  });
+
+  it('detects inverted winding, non-manifold edges and degenerate triangles', () => {
+    const stl = analyzeMesh(parseStlTriangles(fs.readFileSync(EXAMPLE_STL)));
+    assert.strictEqual(stl.inverted, true);
+    assert.ok(stl.signedVolume < 0);
+    assert.strictEqual(stl.nonManifoldEdges, 4);
+
+    const degenerate = analyzeMesh(new Float32Array([0, 0, 0, 1, 1, 1, 2, 2, 2]));
+    assert.strictEqual(degenerate.degenerateTriangles, 1);
+  });
+
+  it('handles an empty mesh', () => {
+    const stats = analyzeMesh(new Float32Array(0));
+
+    assert.strictEqual(stats.triangleCount, 0);
+    assert.strictEqual(stats.centerOfMass, null);
+    assert.strictEqual(stats.watertight, false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// sectionMesh / resolveSectionPlane
+// ---------------------------------------------------------------------------
+
+describe('sectionMesh', () => {
+  // 10mm cube with a 4mm cubic void (inner faces wound inward)
+  const inner = cubePositions(4, [3, 3, 3]);
+  for (let t = 0; t < inner.length; t += 9) {
+    const b = inner.slice(t + 3, t + 6);
+    inner.splice(t + 3, 3, ...inner.slice(t + 6, t + 9));
+    inner.splice(t + 6, 3, ...b);
+  }
+  const hollow = new Float32Array([...cubePositions(10), ...inner]);
+  const box = { min: [0, 0, 0], max: [10, 10, 10] };
+
+  it('measures the cut with holes subtracted', () => {
+    const cut = sectionMesh(hollow, resolveSectionPlane({ axis: 'x' }, box));
+
+    assertClose(cut.area, 100 - 16);
+    assertClose(cut.perimeter, 40 + 16);
+    assert.deepStrictEqual(cut.boundingBox, { min: [5, 0, 0], max: [5, 10, 10] });
+  });
+
+  it('reports an empty cut when the plane misses the model', () => {
+    const cut = sectionMesh(hollow, resolveSectionPlane({ axis: 'z', offset: 20 }, box));
+
+    assert.strictEqual(cut.segments, 0);
+    assert.strictEqual(cut.boundingBox, null);
+  });
+
+  it('resolves axis, normal, default offset and flip', () => {
+    assert.deepStrictEqual(resolveSectionPlane({}, box), { normal: [0, 0, 1], offset: 5 });
+    assert.deepStrictEqual(resolveSectionPlane({ axis: 'y', offset: 2, flip: true }, box), { normal: [0, -1, 0], offset: -2 });
+
+    const tilted = resolveSectionPlane({ normal: [0, 3, 4], offset: 1 }, box);
+    assert.deepStrictEqual(tilted.normal.map((v) => Math.round(v * 10) / 10), [0, 0.6, 0.8]);
+    assert.throws(() => resolveSectionPlane({ normal: [0, 0, 0] }, box), /non-zero/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Headless renderer + PNG encoder
+// ---------------------------------------------------------------------------
+
+/** Decode a PNG into its size and a pixel(x, y) accessor. */
+function readPng(png) {
+  const { width, height, rgba } = decodePng(png);
+  const pixel = (x, y) => [...rgba.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+  return { width, height, pixel };
+}
+
+/** Build a PNG by hand with one filter type per row, as browsers write them. */
+function makeFilteredPng(width, rows) {
+  const chunk = (type, body) => {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(body.length);
+    return Buffer.concat([len, Buffer.from(type, 'ascii'), body, Buffer.alloc(4)]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(rows.length, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2; // RGB
+  const raw = Buffer.concat(rows.map(({ filter, bytes }) => Buffer.from([filter, ...bytes])));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+describe('encodePng', () => {
+  it('writes a valid PNG signature, header and pixel data', () => {
+    const rgba = Buffer.from([255, 0, 0, 255, 0, 255, 0, 255]);
+    const png = encodePng(2, 1, rgba);
+
+    assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const { width, height, pixel } = readPng(png);
+    assert.strictEqual(width, 2);
+    assert.strictEqual(height, 1);
+    assert.deepStrictEqual(pixel(0, 0), [255, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(1, 0), [0, 255, 0, 255]);
+  });
+});
+
+describe('decodePng', () => {
+  it('undoes sub, up, average and paeth filters on RGB rows', () => {
+    const png = makeFilteredPng(2, [
+      { filter: 0, bytes: [10, 20, 30, 40, 50, 60] },
+      { filter: 1, bytes: [1, 2, 3, 1, 1, 1] },      // sub: left neighbour
+      { filter: 2, bytes: [5, 5, 5, 5, 5, 5] },      // up: row above
+      { filter: 3, bytes: [2, 2, 2, 0, 0, 0] },      // average of left and above
+      { filter: 4, bytes: [1, 1, 1, 1, 1, 1] },      // paeth predictor
+    ]);
+    const { width, height, pixel } = readPng(png);
+
+    assert.strictEqual(width, 2);
+    assert.strictEqual(height, 5);
+    assert.deepStrictEqual(pixel(0, 0), [10, 20, 30, 255]);
+    assert.deepStrictEqual(pixel(1, 1), [2, 3, 4, 255]);
+    assert.deepStrictEqual(pixel(1, 2), [7, 8, 9, 255]);
+    assert.deepStrictEqual(pixel(0, 3), [5, 5, 6, 255]);
+    assert.deepStrictEqual(pixel(1, 3), [6, 6, 7, 255]);
+    assert.deepStrictEqual(pixel(1, 4), [7, 7, 8, 255]);
+  });
+
+  it('round-trips encodePng output', () => {
+    const rgba = Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    const decoded = decodePng(encodePng(3, 1, rgba));
+    assert.deepStrictEqual(decoded.rgba, rgba);
+  });
+});
+
+describe('composeContactSheet', () => {
+  it('lays tiles out in rows with gaps and draws labels', () => {
+    const tile = (v) => ({ rgba: Buffer.alloc(20 * 30 * 4, v), label: '' });
+    const tiles = [tile(50), tile(100), { ...tile(150), label: 'top' }];
+    const { width, height, rgba } = composeContactSheet(tiles, { columns: 2, width: 20, height: 30 });
+    const at = (x, y) => rgba[(y * width + x) * 4];
+
+    assert.strictEqual(width, 2 * 20 + 3 * 4);
+    assert.strictEqual(height, 2 * 30 + 3 * 4);
+    assert.strictEqual(at(4 + 10, 4 + 25), 50);
+    assert.strictEqual(at(28 + 10, 4 + 25), 100);
+    assert.strictEqual(at(4 + 18, 38 + 25), 150);
+    assert.strictEqual(at(40, 50), 15); // empty fourth cell shows the sheet background
+    // The label box darkens the corner of the labelled tile only
+    assert.ok(at(4 + 7, 38 + 7) < 150);
+    assert.strictEqual(at(4 + 7, 4 + 7), 50);
+  });
+});
+
+describe('renderStlToPng', () => {
+  it('renders the model over the viewer background', () => {
+    const { png, distance } = renderStlToPng(fs.readFileSync(EXAMPLE_STL), { width: 120, height: 90 });
+    const { width, height, pixel } = readPng(png);
+
+    assert.strictEqual(width, 120);
+    assert.strictEqual(height, 90);
+    assert.strictEqual(distance, 30); // modelSize (12) * 2.5
+    assert.deepStrictEqual(pixel(2, 2), [0x1a, 0x1a, 0x2e, 255]);
+
+    const [r, g, b] = pixel(60, 45);
+    assert.ok(b > r && b > g, `expected a blue model pixel, got ${[r, g, b]}`);
+  });
+
+  it('honours an explicit camera distance', () => {
+    const { distance } = renderStlToPng(fs.readFileSync(EXAMPLE_STL), { width: 16, height: 16, distance: 99 });
+    assert.strictEqual(distance, 99);
+  });
+
+  it('renders Z up and without foreshortening in orthographic projection', () => {
+    const BG = [0x1a, 0x1a, 0x2e, 255];
+    const front = (projection) => readPng(renderStlToPng(fs.readFileSync(EXAMPLE_STL), {
+      azimuth: 0, elevation: 0, projection, width: 120, height: 120,
+    }).png);
+
+    // Orthographic: the box's x = 0..10 spans pixels ~36..84 at any depth
+    const ortho = front('orthographic');
+    assert.deepStrictEqual(ortho.pixel(33, 65), BG);
+    assert.notDeepStrictEqual(ortho.pixel(38, 65), BG);
+    assert.notDeepStrictEqual(ortho.pixel(82, 65), BG);
+    assert.deepStrictEqual(ortho.pixel(87, 65), BG);
+    // The roof (z 10..12) sits above the box, narrowing towards its apex
+    assert.notDeepStrictEqual(ortho.pixel(60, 36), BG);
+    assert.deepStrictEqual(ortho.pixel(40, 36), BG);
+
+    // Perspective: the nearer front face looks wider
+    assert.notDeepStrictEqual(front('perspective').pixel(33, 65), BG);
+  });
+
+  it('applies style, model color, background and axes options', () => {
+    const BG = [0x1a, 0x1a, 0x2e, 255];
+    const front = (options) => readPng(renderStlToPng(fs.readFileSync(EXAMPLE_STL), {
+      azimuth: 0, elevation: 0, projection: 'orthographic', width: 120, height: 120, ...options,
+    }).png);
+
+    const transparent = front({ background: 'transparent', grid: false });
+    assert.deepStrictEqual(transparent.pixel(2, 2), [0, 0, 0, 0]);
+    assert.strictEqual(transparent.pixel(45, 65)[3], 255);
+    assert.deepStrictEqual(front({ background: 0xffffff }).pixel(2, 2), [255, 255, 255, 255]);
+
+    const [r, g, b] = front({ color: 0xff0000 }).pixel(45, 65);
+    assert.ok(r > g && r > b, `expected a red model pixel, got ${[r, g, b]}`);
+
+    // Wireframe leaves face interiors empty but draws the outline
+    const wireframe = front({ style: 'wireframe' });
+    assert.deepStrictEqual(wireframe.pixel(45, 65), BG);
+    assert.notDeepStrictEqual(wireframe.pixel(36, 65), BG);
+
+    // The axes gizmo sits in the bottom-left corner (Y points into the screen here)
+    const axes = front({ axes: true, grid: false });
+    const corner = new Set();
+    for (let y = 60; y < 120; y++) {
+      for (let x = 0; x < 60; x++) corner.add(axes.pixel(x, y).slice(0, 3).join());
+    }
+    assert.ok(corner.has('239,68,68'), 'expected the red X axis');
+    assert.ok(corner.has('59,130,246'), 'expected the blue Z axis');
+  });
+
+  it('draws annotations over the model', () => {
+    const annotations = [
+      { id: 'a1', type: 'marker', position: [5, 0, 6], text: 'here', color: '#facc15' },
+      { id: 'a2', type: 'dimension', from: [0, 0, 0], to: [10, 0, 0], offset: [0, 0, -3], text: '10', color: '#ef4444' },
+    ];
+    const front = readPng(renderStlToPng(fs.readFileSync(EXAMPLE_STL), {
+      azimuth: 0, elevation: 0, projection: 'orthographic', width: 120, height: 120, grid: false, annotations,
+    }).png);
+
+    // The marker sits on the model at the image center; its text box starts 8px right of it
+    assert.deepStrictEqual(front.pixel(60, 60), [250, 204, 21, 255]);
+    const [r, g, b] = front.pixel(70, 52);
+    assert.ok(b < 100, `expected the dark text box, got ${[r, g, b]}`);
+    // The dimension line runs 3 units below the model, past its silhouette
+    const below = [];
+    for (let y = 95; y < 110; y++) below.push(front.pixel(40, y).slice(0, 3).join());
+    assert.ok(below.includes('239,68,68'), 'expected the red dimension line');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // parseScadDependencies
 // ---------------------------------------------------------------------------
@@ -174,6 +708,494 @@ describe('parseScadDependencies', () => {
     const deps = parseScadDependencies('/tmp/does-not-exist-12345.scad');
     assert.deepStrictEqual(deps, []);
   });
+
+  it('finds import() and surface() files and skips commented-out references', () => {
+    const meshFile = path.join(tmpDir, 'part.stl');
+    fs.writeFileSync(meshFile, 'solid x\nendsolid x');
+
+    const mainFile = path.join(tmpDir, 'imports.scad');
+    fs.writeFileSync(mainFile, [
+      'import("part.stl");',
+      'surface(file = "part.stl");',
+      '// include <lib.scad>',
+      '/* use <lib.scad> */',
+    ].join('\n'));
+
+    assert.deepStrictEqual(parseScadDependencies(mainFile), [meshFile, meshFile]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseDepfile
+// ---------------------------------------------------------------------------
+
+describe('parseDepfile', () => {
+  it('parses targets with continuation lines', () => {
+    const deps = parseDepfile('/tmp/out.stl: \\\n\t/a/main.scad \\\n\t/a/lib.scad\n');
+    assert.deepStrictEqual(deps, ['/a/main.scad', '/a/lib.scad']);
+  });
+
+  it('unescapes spaces and removes duplicates', () => {
+    const deps = parseDepfile('out.stl: /a/my\\ part.scad /a/lib.scad /a/lib.scad');
+    assert.deepStrictEqual(deps, ['/a/my part.scad', '/a/lib.scad']);
+  });
+
+  it('returns an empty list for text without a target', () => {
+    assert.deepStrictEqual(parseDepfile(''), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// resolveDependencyTree
+// ---------------------------------------------------------------------------
+
+describe('resolveDependencyTree', () => {
+  let tmpDir;
+  let libDir;
+  let savedPath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-deps-test-'));
+    libDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-deps-lib-'));
+    savedPath = process.env.OPENSCADPATH;
+    process.env.OPENSCADPATH = libDir;
+
+    fs.writeFileSync(path.join(libDir, 'shapes.scad'), 'module s() { cube(1); }');
+    fs.writeFileSync(path.join(tmpDir, 'logo.svg'), '<svg/>');
+    fs.writeFileSync(path.join(tmpDir, 'inner.scad'), 'include <main.scad>\nimport("logo.svg");\ninclude <gone.scad>');
+    fs.writeFileSync(path.join(tmpDir, 'main.scad'), 'include <inner.scad>\nuse <shapes.scad>\ncube(1);');
+  });
+
+  after(() => {
+    if (savedPath === undefined) delete process.env.OPENSCADPATH;
+    else process.env.OPENSCADPATH = savedPath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.rmSync(libDir, { recursive: true, force: true });
+  });
+
+  it('resolves nested includes, library paths and imports, marking missing files', () => {
+    const tree = resolveDependencyTree(path.join(tmpDir, 'main.scad'));
+
+    assert.deepStrictEqual(tree.map((n) => [n.kind, n.path, n.missing]), [
+      ['include', path.join(tmpDir, 'inner.scad'), false],
+      ['use', path.join(libDir, 'shapes.scad'), false],
+    ]);
+    assert.deepStrictEqual(tree[0].children.map((n) => [n.kind, n.ref, n.missing]), [
+      ['include', 'main.scad', false],
+      ['import', 'logo.svg', false],
+      ['include', 'gone.scad', true],
+    ]);
+  });
+
+  it('does not expand include cycles twice', () => {
+    const tree = resolveDependencyTree(path.join(tmpDir, 'main.scad'));
+    const cycle = tree[0].children[0];
+
+    assert.strictEqual(cycle.repeated, true);
+    assert.deepStrictEqual(cycle.children, []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseDiagnostics
+// ---------------------------------------------------------------------------
+
+describe('parseDiagnostics', () => {
+  const scad = path.join(SAMPLES_DIR, 'main.scad');
+
+  it('parses errors, warnings and echo output with locations', () => {
+    const stderr = [
+      'Compiling design (CSG Tree generation)...',
+      'ECHO: "width", 20',
+      'WARNING: Ignoring unknown variable \'depth\' in file main.scad, line 12',
+      'DEPRECATED: Using ranges of the form [begin:end] with begin value greater than the end value is deprecated in file lib/util.scad, line 4',
+      'ERROR: Assertion \'(w > 0)\' failed in file ../parts/base.scad, line 7',
+      'TRACE: called by \'base\' in file main.scad, line 30.',
+      'Execution aborted',
+    ].join('\n');
+
+    assert.deepStrictEqual(parseDiagnostics(stderr, scad), [
+      { severity: 'echo', kind: 'ECHO', message: '"width", 20', file: null, line: null },
+      { severity: 'warning', kind: 'WARNING', message: "Ignoring unknown variable 'depth'", file: scad, line: 12 },
+      {
+        severity: 'warning',
+        kind: 'DEPRECATED',
+        message: 'Using ranges of the form [begin:end] with begin value greater than the end value is deprecated',
+        file: path.join(SAMPLES_DIR, 'lib', 'util.scad'),
+        line: 4,
+      },
+      {
+        severity: 'error',
+        kind: 'ERROR',
+        message: "Assertion '(w > 0)' failed",
+        file: path.join(SAMPLES_DIR, '..', 'parts', 'base.scad'),
+        line: 7,
+        trace: [{ message: "called by 'base'", file: scad, line: 30 }],
+      },
+    ]);
+  });
+
+  it('handles quoted parser error locations and messages without one', () => {
+    const stderr = 'ERROR: Parser error in file "/abs/model.scad", line 3: syntax error\nERROR: CGAL error in CGAL_Nef_polyhedron3()';
+
+    assert.deepStrictEqual(parseDiagnostics(stderr, scad).map((d) => [d.message, d.file, d.line]), [
+      ['Parser error: syntax error', path.resolve('/abs/model.scad'), 3],
+      ['CGAL error in CGAL_Nef_polyhedron3()', null, null],
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Compile cache
+// ---------------------------------------------------------------------------
+
+describe('compile cache', () => {
+  let tmpDir;
+  let savedDir;
+  let mainScad;
+  let partScad;
+  let stl;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cache-test-'));
+    savedDir = process.env.OPENSCAD_VIEWER_CACHE_DIR;
+    process.env.OPENSCAD_VIEWER_CACHE_DIR = path.join(tmpDir, 'cache');
+
+    mainScad = path.join(tmpDir, 'main.scad');
+    partScad = path.join(tmpDir, 'part.scad');
+    stl = path.join(tmpDir, 'out.stl');
+    fs.writeFileSync(mainScad, 'include <part.scad>\ninclude <later.scad>\npart();');
+    fs.writeFileSync(partScad, 'module part() cube(1);');
+    fs.writeFileSync(stl, makeBinaryStl([{ normal: [0, 0, 1], vertices: [[0, 0, 0], [1, 0, 0], [0, 1, 0]] }]));
+  });
+
+  after(() => {
+    if (savedDir === undefined) delete process.env.OPENSCAD_VIEWER_CACHE_DIR;
+    else process.env.OPENSCAD_VIEWER_CACHE_DIR = savedDir;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('hits for the same source, flags and dependencies', async () => {
+    const first = await lookupCompileCache(mainScad, ['-D', 'size=1']);
+    assert.strictEqual(first.hit, null);
+
+    await storeCompileCache(first.base, mainScad, stl, [mainScad, partScad]);
+    const second = await lookupCompileCache(mainScad, ['-D', 'size=1']);
+
+    assert.deepStrictEqual(second.hit.dependencies, [mainScad, partScad]);
+    assert.deepStrictEqual(fs.readFileSync(second.hit.meshPath), fs.readFileSync(stl));
+    assert.strictEqual((await lookupCompileCache(mainScad, ['-D', 'size=2'])).hit, null);
+  });
+
+  it('misses when a dependency changes or a missing include appears', async () => {
+    fs.writeFileSync(partScad, 'module part() cube(2);');
+    assert.strictEqual((await lookupCompileCache(mainScad, ['-D', 'size=1'])).hit, null);
+
+    fs.writeFileSync(partScad, 'module part() cube(1);');
+    assert.notStrictEqual((await lookupCompileCache(mainScad, ['-D', 'size=1'])).hit, null);
+
+    fs.writeFileSync(path.join(tmpDir, 'later.scad'), '');
+    assert.strictEqual((await lookupCompileCache(mainScad, ['-D', 'size=1'])).hit, null);
+  });
+
+  it('prunes least recently used entries over the size limit', async () => {
+    const dir = path.join(tmpDir, 'prune');
+    fs.mkdirSync(dir);
+    ['old', 'mid', 'new'].forEach((name, i) => {
+      const file = path.join(dir, `${name}.off`);
+      fs.writeFileSync(file, Buffer.alloc(100));
+      fs.utimesSync(file, 1000 + i, 1000 + i);
+    });
+
+    assert.deepStrictEqual(await pruneCompileCache(dir, 250), ['old.off']);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['mid.off', 'new.off']);
+  });
+
+  it('counts diagnostics and index entries and drops index entries of evicted meshes', async () => {
+    const dir = path.join(tmpDir, 'prune-index');
+    fs.mkdirSync(dir);
+    const write = (name, size, time) => {
+      fs.writeFileSync(path.join(dir, name), Buffer.alloc(size));
+      fs.utimesSync(path.join(dir, name), time, time);
+    };
+    write('old.off', 100, 1000);
+    write('old.diagnostics.json', 50, 1000);
+    write('base-old.json', 50, 1001);
+    write('new.off', 100, 2000);
+    write('new.diagnostics.json', 50, 2000);
+    write('base-new.json', 50, 2001);
+
+    // Meshes alone (200 bytes) fit; with sidecars and index entries (400) they don't
+    assert.deepStrictEqual(await pruneCompileCache(dir, 250), ['old.off', 'old.diagnostics.json', 'base-old.json']);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['base-new.json', 'new.diagnostics.json', 'new.off']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Compile queue (runs against a stand-in `openscad` script on $PATH)
+// ---------------------------------------------------------------------------
+
+describe('compile queue', { skip: process.platform === 'win32' }, () => {
+  let tmpDir;
+  let saved;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-queue-test-'));
+    saved = { PATH: process.env.PATH, OPENSCAD_VIEWER_CACHE: process.env.OPENSCAD_VIEWER_CACHE };
+    process.env.PATH = `${tmpDir}${path.delimiter}${process.env.PATH}`;
+    process.env.OPENSCAD_VIEWER_CACHE = '0';
+
+    // Sleeps for the number of seconds written in the .scad file, then copies a fixed OFF mesh
+    fs.writeFileSync(path.join(tmpDir, 'model.off'), 'OFF\n3 1 0\n0 0 0\n1 0 0\n0 1 0\n3 0 1 2\n');
+    fs.writeFileSync(path.join(tmpDir, 'openscad'), [
+      '#!/bin/sh',
+      'if [ "$1" = "--version" ]; then echo "OpenSCAD version 2021.01" >&2; exit 0; fi',
+      'for arg; do scad="$arg"; done',
+      'if grep -q fail "$scad"; then',
+      '  echo "WARNING: Ignoring unknown variable \'w\' in file fail.scad, line 1" >&2',
+      '  echo "ERROR: Parser error in file \\"fail.scad\\", line 2: syntax error" >&2',
+      '  exit 1',
+      'fi',
+      'echo "Parsing design (AST generation)..." >&2',
+      'sleep "$(cat "$scad")"',
+      'echo "Rendering Polygon Mesh using CGAL..." >&2',
+      `cp "${path.join(tmpDir, 'model.off')}" "$2"`,
+    ].join('\n'), { mode: 0o755 });
+    fs.writeFileSync(path.join(tmpDir, 'slow.scad'), '5');
+    fs.writeFileSync(path.join(tmpDir, 'fast.scad'), '0');
+    fs.writeFileSync(path.join(tmpDir, 'fail.scad'), 'fail');
+  });
+
+  after(() => {
+    process.env.PATH = saved.PATH;
+    if (saved.OPENSCAD_VIEWER_CACHE === undefined) delete process.env.OPENSCAD_VIEWER_CACHE;
+    else process.env.OPENSCAD_VIEWER_CACHE = saved.OPENSCAD_VIEWER_CACHE;
+    resetState();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('cancels the in-flight compile when a newer one is queued', async () => {
+    const started = Date.now();
+    const slow = queueCompile('q', path.join(tmpDir, 'slow.scad'), {});
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.strictEqual(compileStatusTool('q').compiling, true);
+
+    const fast = await queueCompile('q', path.join(tmpDir, 'fast.scad'), {});
+    const first = await slow;
+
+    assert.strictEqual(first.cancelled, true);
+    assert.strictEqual(first.meshPath, null);
+    assert.ok(Date.now() - started < 4000, 'slow compile was killed, not awaited');
+    assert.strictEqual(fast.error, null);
+    assert.ok(fs.existsSync(fast.meshPath));
+    assert.strictEqual(path.extname(fast.meshPath), '.off');
+    fs.unlinkSync(fast.meshPath);
+  });
+
+  it('reports the latest compile and its progress lines', () => {
+    const { compiling, jobs } = compileStatusTool('q');
+
+    assert.strictEqual(compiling, false);
+    assert.strictEqual(jobs[0].state, 'done');
+    assert.strictEqual(jobs[0].file, path.join(tmpDir, 'fast.scad'));
+    assert.deepStrictEqual(jobs[0].lines, ['Parsing design (AST generation)...', 'Rendering Polygon Mesh using CGAL...']);
+    assert.strictEqual(jobs[0].lastLine, 'Rendering Polygon Mesh using CGAL...');
+  });
+
+  it('keeps the diagnostics of a failed compile', async () => {
+    const result = await queueCompile('q', path.join(tmpDir, 'fail.scad'), {});
+    assert.ok(result.error);
+
+    const report = diagnosticsTool('q');
+    assert.strictEqual(report.state, 'error');
+    assert.strictEqual(report.errors, 1);
+    assert.strictEqual(report.warnings, 1);
+    assert.deepStrictEqual(report.diagnostics[1], {
+      severity: 'error', kind: 'ERROR', message: 'Parser error: syntax error', file: path.join(tmpDir, 'fail.scad'), line: 2,
+    });
+  });
+
+  it('gives concurrent compiles of different slots their own mesh files', async () => {
+    const fast = path.join(tmpDir, 'fast.scad');
+    const [a, b] = await Promise.all([queueCompile('qa', fast, {}), queueCompile('qb', fast, {})]);
+
+    assert.notStrictEqual(a.meshPath, b.meshPath);
+    assert.ok(fs.existsSync(a.meshPath) && fs.existsSync(b.meshPath));
+    fs.unlinkSync(a.meshPath);
+    fs.unlinkSync(b.meshPath);
+  });
+
+  it('finishes the job with an error when the parameters are invalid', async () => {
+    const result = await queueCompile('q', path.join(tmpDir, 'fast.scad'), { 'bad name': 1 });
+
+    assert.match(result.error, /Invalid parameter name/);
+    assert.strictEqual(compileStatusTool('q').jobs[0].state, 'error');
+  });
+
+  it('compiles when a cache hit is pruned before it is copied', async () => {
+    process.env.OPENSCAD_VIEWER_CACHE = '1';
+    process.env.OPENSCAD_VIEWER_CACHE_DIR = path.join(tmpDir, 'cache');
+    const fast = path.join(tmpDir, 'fast.scad');
+    const { base } = await lookupCompileCache(fast, []);
+    await storeCompileCache(base, fast, path.join(tmpDir, 'model.off'), [fast]);
+
+    const { copyFile } = fs.promises;
+    fs.promises.copyFile = async (src, dest) => {
+      if (src.startsWith(process.env.OPENSCAD_VIEWER_CACHE_DIR)) fs.rmSync(src);
+      return copyFile(src, dest);
+    };
+    try {
+      const result = await queueCompile('q', fast, {});
+      assert.strictEqual(result.error, null);
+      assert.strictEqual(result.cached, false);
+      assert.ok(fs.existsSync(result.meshPath));
+      fs.unlinkSync(result.meshPath);
+      assert.strictEqual(compileStatusTool('q').jobs[0].state, 'done');
+    } finally {
+      fs.promises.copyFile = copyFile;
+      process.env.OPENSCAD_VIEWER_CACHE = '0';
+      delete process.env.OPENSCAD_VIEWER_CACHE_DIR;
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildDefineArgs
+// ---------------------------------------------------------------------------
+
+describe('buildDefineArgs', () => {
+  it('returns no arguments for empty or missing params', () => {
+    assert.deepStrictEqual(buildDefineArgs({}), []);
+    assert.deepStrictEqual(buildDefineArgs(undefined), []);
+  });
+
+  it('formats numbers, booleans, strings and vectors as OpenSCAD literals', () => {
+    const args = buildDefineArgs({ wall: 2.5, hollow: false, label: 'say "hi"', size: [10, 20, 5] });
+    assert.deepStrictEqual(args, [
+      '-D', 'wall=2.5',
+      '-D', 'hollow=false',
+      '-D', 'label="say \\"hi\\""',
+      '-D', 'size=[10, 20, 5]',
+    ]);
+  });
+
+  it('rejects invalid variable names', () => {
+    assert.throws(() => buildDefineArgs({ 'a=1; b': 2 }), /Invalid parameter name/);
+    assert.throws(() => buildDefineArgs({ a$b: 1 }), /Invalid parameter name/);
+    assert.ok(PARAMETER_NAME_RE.test('_wall2') && !PARAMETER_NAME_RE.test('2wall'));
+  });
+
+  it('rejects values OpenSCAD cannot represent', () => {
+    assert.throws(() => buildDefineArgs({ x: Infinity }), /Invalid parameter value/);
+    assert.throws(() => buildDefineArgs({ x: { nested: 1 } }), /Invalid parameter value/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseScadParameters
+// ---------------------------------------------------------------------------
+
+describe('parseScadParameters', () => {
+  it('parses slider, dropdown, checkbox and text parameters', () => {
+    const params = parseScadParameters([
+      '// Wall thickness',
+      'wall = 2; // [1:0.5:5]',
+      'height = 10; // [50]',
+      'shape = "round"; // [round, square:Square box]',
+      'hollow = true;',
+      'label = "a;b // c";',
+    ].join('\n'));
+
+    assert.deepStrictEqual(params.map((p) => [p.name, p.type, p.widget]), [
+      ['wall', 'number', 'slider'],
+      ['height', 'number', 'slider'],
+      ['shape', 'string', 'dropdown'],
+      ['hollow', 'boolean', 'checkbox'],
+      ['label', 'string', 'text'],
+    ]);
+    assert.strictEqual(params[0].description, 'Wall thickness');
+    assert.deepStrictEqual([params[0].min, params[0].step, params[0].max], [1, 0.5, 5]);
+    assert.deepStrictEqual([params[1].min, params[1].max], [0, 50]);
+    assert.deepStrictEqual(params[2].options, [
+      { value: 'round', label: 'round' },
+      { value: 'square', label: 'Square box' },
+    ]);
+    assert.strictEqual(params[4].default, 'a;b // c');
+  });
+
+  it('parses numeric dropdowns and vectors', () => {
+    const params = parseScadParameters('count = 3; // [1:Small, 3:Medium]\nsize = [10, 20, 5];');
+
+    assert.deepStrictEqual(params[0].options, [{ value: 1, label: 'Small' }, { value: 3, label: 'Medium' }]);
+    assert.strictEqual(params[1].type, 'vector');
+    assert.deepStrictEqual(params[1].default, [10, 20, 5]);
+  });
+
+  it('assigns groups and skips the Hidden group', () => {
+    const params = parseScadParameters([
+      'a = 1;',
+      '/* [Size] */',
+      'b = 2;',
+      '/* [Hidden] */',
+      'c = 3;',
+    ].join('\n'));
+
+    assert.deepStrictEqual(params.map((p) => [p.name, p.group]), [['a', 'Parameters'], ['b', 'Size']]);
+  });
+
+  it('ignores expressions, nested assignments and commented-out code', () => {
+    const params = parseScadParameters([
+      'a = 1;',
+      'b = a * 2;',
+      '/* c = 3;',
+      'd = 4; */',
+      'module m() {',
+      '  e = 5;',
+      '}',
+    ].join('\n'));
+
+    assert.deepStrictEqual(params.map((p) => p.name), ['a']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// setParameters
+// ---------------------------------------------------------------------------
+
+describe('setParameters', () => {
+  const scadFile = path.join(SAMPLES_DIR, 'example.scad');
+
+  after(() => resetState());
+
+  it('stores overrides for a file that is not currently open', async () => {
+    resetState();
+    const result = await setParameters({ wall: 2 }, { file: scadFile });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.recompiled, false);
+    assert.deepStrictEqual(result.parameters, { wall: 2 });
+  });
+
+  it('merges with existing overrides and removes null values', async () => {
+    await setParameters({ height: 10 }, { file: scadFile });
+    const result = await setParameters({ wall: null }, { file: scadFile });
+
+    assert.deepStrictEqual(result.parameters, { height: 10 });
+  });
+
+  it('replaces existing overrides when replace is set', async () => {
+    const result = await setParameters({ depth: 4 }, { file: scadFile, replace: true });
+    assert.deepStrictEqual(result.parameters, { depth: 4 });
+  });
+
+  it('rejects non-.scad files', async () => {
+    await assert.rejects(() => setParameters({ x: 1 }, { file: EXAMPLE_STL }), /only be applied to \.scad/);
+  });
+
+  it('rejects calls with no file when no model is loaded', async () => {
+    resetState();
+    await assert.rejects(() => setParameters({ x: 1 }), /No model currently loaded/);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -193,6 +1215,33 @@ describe('openFile', () => {
     assert.ok(result.boundingBox);
     assert.deepStrictEqual(result.boundingBox.min, [0, 0, 0]);
     assert.deepStrictEqual(result.boundingBox.max, [10, 10, 12]);
+    assert.strictEqual(result.format, 'stl');
+    assert.strictEqual(result.mesh.triangleCount, 16);
+    assertClose(result.mesh.volume, 1200);
+  });
+
+  it('opens OBJ files with format, metadata and bounding box', async () => {
+    const objFile = path.join(SAMPLES_DIR, 'open-test.obj');
+    fs.writeFileSync(objFile, [
+      ...CUBE_VERTICES.map(([x, y, z]) => `v ${x * 4} ${y * 4} ${z * 4}`),
+      ...CUBE_QUADS.map((q) => `f ${q.map((i) => i + 1).join(' ')}`),
+    ].join('\n'));
+
+    try {
+      const result = await openFile(objFile);
+
+      assert.strictEqual(result.format, 'obj');
+      assert.deepStrictEqual(result.metadata, { vertices: 8, objects: [], materials: [] });
+      assert.deepStrictEqual(result.boundingBox, { min: [0, 0, 0], max: [4, 4, 4] });
+      assertClose(result.mesh.volume, 64);
+    } finally {
+      resetState();
+      fs.unlinkSync(objFile);
+    }
+  });
+
+  it('rejects parameter overrides for .stl files', async () => {
+    await assert.rejects(() => openFile(EXAMPLE_STL, { params: { wall: 2 } }), /only be applied to \.scad/);
   });
 
   it('throws for nonexistent file', async () => {
@@ -215,7 +1264,7 @@ describe('openFile', () => {
   it('throws for unsupported file extension', async () => {
     const saved = process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS;
     process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS = '1';
-    const tmpFile = path.join(os.tmpdir(), 'test-file.obj');
+    const tmpFile = path.join(os.tmpdir(), 'test-file.ply');
     fs.writeFileSync(tmpFile, 'dummy');
 
     try {
@@ -250,6 +1299,262 @@ describe('openFile', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Model slots (openFile with ids, listModels, closeModel)
+// ---------------------------------------------------------------------------
+
+describe('model slots', () => {
+  let tmpStl;
+
+  before(() => {
+    tmpStl = path.join(SAMPLES_DIR, 'model-slots-test.stl');
+    fs.writeFileSync(tmpStl, makeBinaryStl([
+      { normal: [0, 0, 1], vertices: [[0, 0, 0], [5, 0, 0], [0, 5, 0]] },
+    ]));
+  });
+
+  after(() => {
+    resetState();
+    fs.unlinkSync(tmpStl);
+  });
+
+  it('opens into the default slot when no id is given', async () => {
+    resetState();
+    const result = await openFile(EXAMPLE_STL);
+
+    assert.strictEqual(result.id, 'default');
+    assert.deepStrictEqual(listModels().models.map((m) => m.id), ['default']);
+  });
+
+  it('keeps several models open side by side', async () => {
+    resetState();
+    await openFile(EXAMPLE_STL, { id: 'a' });
+    await openFile(tmpStl, { id: 'b' });
+
+    const { active, models } = listModels();
+    assert.strictEqual(active, 'b');
+    assert.deepStrictEqual(models.map((m) => [m.id, m.file]), [['a', EXAMPLE_STL], ['b', tmpStl]]);
+    assert.deepStrictEqual(models[0].boundingBox.max, [10, 10, 12]);
+    assert.deepStrictEqual(models[1].boundingBox.max, [5, 5, 0]);
+  });
+
+  it('replaces the model when opening into an existing id', async () => {
+    await openFile(EXAMPLE_STL, { id: 'b' });
+
+    const { models } = listModels();
+    assert.strictEqual(models.length, 2);
+    assert.strictEqual(models[1].file, EXAMPLE_STL);
+  });
+
+  it('closes a model and activates a remaining one', () => {
+    const result = closeModel('b');
+
+    assert.strictEqual(result.id, 'b');
+    assert.strictEqual(result.active, 'a');
+    assert.deepStrictEqual(listModels().models.map((m) => m.id), ['a']);
+  });
+
+  it('rejects unknown and invalid ids', async () => {
+    assert.throws(() => closeModel('missing'), /No model with id "missing"/);
+    await assert.rejects(() => openFile(EXAMPLE_STL, { id: '../x' }), /Invalid model id/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Annotations
+// ---------------------------------------------------------------------------
+
+describe('annotations', () => {
+  after(() => resetState());
+
+  it('adds annotations with ids, defaults and measured dimensions', async () => {
+    resetState();
+    await openFile(EXAMPLE_STL);
+    const result = annotateTool({
+      annotations: [
+        { type: 'marker', position: [10, 0, 10] },
+        { type: 'dimension', from: [0, 0, 0], to: [3, 4, 0], color: '#22C55E' },
+      ],
+    });
+
+    assert.deepStrictEqual(result.ids, ['a1', 'a2']);
+    assert.strictEqual(result.model, 'default');
+    assert.deepStrictEqual(result.annotations[0], { id: 'a1', type: 'marker', position: [10, 0, 10], color: '#facc15' });
+    assert.deepStrictEqual(result.annotations[1], {
+      id: 'a2', type: 'dimension', from: [0, 0, 0], to: [3, 4, 0], offset: [0, 0, 0], length: 5, text: '5', color: '#22c55e',
+    });
+  });
+
+  it('rejects annotations missing their points or text', () => {
+    assert.throws(() => annotateTool({ annotations: [{ type: 'arrow', from: [0, 0, 0] }] }), /arrow annotation needs "to"/);
+    assert.throws(() => annotateTool({ annotations: [{ type: 'label', position: [0, 0, 0] }] }), /needs "text"/);
+  });
+
+  it('keeps annotations when the model is reopened into its slot', async () => {
+    await openFile(EXAMPLE_STL);
+    assert.deepStrictEqual(clearAnnotationsTool({ ids: ['a1'] }).removed, ['a1']);
+    // Without ids, everything left on the model goes
+    assert.deepStrictEqual(clearAnnotationsTool({}).removed, ['a2']);
+    assert.deepStrictEqual(clearAnnotationsTool({}).removed, []);
+  });
+
+  it('errors on unknown ids', () => {
+    assert.throws(() => clearAnnotationsTool({ ids: ['a99'] }), /No annotation with id "a99"/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Revision history
+// ---------------------------------------------------------------------------
+
+describe('revision history', () => {
+  let tmpStl;
+  const triangle = (size) => makeBinaryStl([
+    { normal: [0, 0, 1], vertices: [[0, 0, 0], [size, 0, 0], [0, size, 0]] },
+  ]);
+
+  before(() => {
+    tmpStl = path.join(SAMPLES_DIR, 'history-test.stl');
+  });
+
+  after(() => {
+    resetState();
+    delete process.env.OPENSCAD_VIEWER_HISTORY;
+    fs.unlinkSync(tmpStl);
+  });
+
+  it('records a revision per changed mesh and skips unchanged reloads', async () => {
+    resetState();
+    fs.writeFileSync(tmpStl, triangle(5));
+    await openFile(tmpStl);
+    await openFile(tmpStl);
+    fs.writeFileSync(tmpStl, triangle(8));
+    await openFile(tmpStl);
+
+    const result = historyTool();
+    assert.strictEqual(result.model, 'default');
+    assert.strictEqual(result.current, 2);
+    assert.strictEqual(result.limit, 10);
+    assert.deepStrictEqual(result.revisions.map((r) => r.revision), [1, 2]);
+    assert.deepStrictEqual(result.revisions.map((r) => r.boundingBox.max[0]), [5, 8]);
+    assert.notStrictEqual(result.revisions[0].sourceHash, result.revisions[1].sourceHash);
+    assert.strictEqual(result.revisions[1].triangles, 1);
+    assert.ok(!('meshBuffer' in result.revisions[0]));
+  });
+
+  it('keeps only the last OPENSCAD_VIEWER_HISTORY revisions', async () => {
+    process.env.OPENSCAD_VIEWER_HISTORY = '2';
+    fs.writeFileSync(tmpStl, triangle(9));
+    await openFile(tmpStl);
+
+    assert.deepStrictEqual(historyTool().revisions.map((r) => r.revision), [2, 3]);
+  });
+
+  it('hashes included files into sourceHash', { skip: process.platform === 'win32' }, async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-history-test-'));
+    const saved = { PATH: process.env.PATH, OPENSCAD_VIEWER_CACHE: process.env.OPENSCAD_VIEWER_CACHE, ALLOW: process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS };
+    process.env.PATH = `${tmpDir}${path.delimiter}${process.env.PATH}`;
+    process.env.OPENSCAD_VIEWER_CACHE = '0';
+    process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS = '1';
+    // Stand-in `openscad`: writes a depfile naming part.scad and copies a fixed OFF mesh
+    fs.writeFileSync(path.join(tmpDir, 'model.off'), 'OFF\n3 1 0\n0 0 0\n1 0 0\n0 1 0\n3 0 1 2\n');
+    fs.writeFileSync(path.join(tmpDir, 'openscad'), [
+      '#!/bin/sh',
+      'if [ "$1" = "--version" ]; then echo "OpenSCAD version 2021.01" >&2; exit 0; fi',
+      'for arg; do scad="$arg"; done',
+      `echo "$2: $scad ${path.join(tmpDir, 'part.scad')}" > "$4"`,
+      `cp "${path.join(tmpDir, 'model.off')}" "$2"`,
+    ].join('\n'), { mode: 0o755 });
+    const main = path.join(tmpDir, 'main.scad');
+    fs.writeFileSync(main, 'include <part.scad>\npart();');
+    fs.writeFileSync(path.join(tmpDir, 'part.scad'), 'module part() cube(1);');
+    try {
+      await openFile(main, { id: 'inc' });
+      fs.writeFileSync(path.join(tmpDir, 'part.scad'), 'module part() cube(2);');
+      await openFile(main, { id: 'inc' });
+
+      const [first, second] = historyTool('inc').revisions;
+      assert.strictEqual(first.meshHash, second.meshHash);
+      assert.notStrictEqual(first.sourceHash, second.sourceHash);
+    } finally {
+      process.env.PATH = saved.PATH;
+      for (const [name, value] of [['OPENSCAD_VIEWER_CACHE', saved.OPENSCAD_VIEWER_CACHE], ['OPENSCAD_VIEWER_ALLOW_ALL_PATHS', saved.ALLOW]]) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+      closeModel('inc');
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('errors on unknown models', () => {
+    assert.throws(() => historyTool('missing'), /No model with id "missing"/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// exportModel
+// ---------------------------------------------------------------------------
+
+describe('exportModel', () => {
+  const outBase = path.join(SAMPLES_DIR, 'export-test');
+
+  after(() => {
+    resetState();
+    fs.rmSync(`${outBase}.stl`, { force: true });
+  });
+
+  it('writes the loaded mesh and summarizes it', async () => {
+    resetState();
+    await openFile(EXAMPLE_STL);
+    const result = await exportModel({ format: 'stl', output: outBase });
+
+    assert.strictEqual(result.path, `${outBase}.stl`);
+    assert.strictEqual(result.size, fs.statSync(EXAMPLE_STL).size);
+    assert.strictEqual(result.summary.triangleCount, 16);
+    assert.deepStrictEqual(result.summary.boundingBox.max, [10, 10, 12]);
+  });
+
+  it('rejects mismatched extensions, unknown formats and disallowed paths', async () => {
+    await assert.rejects(() => exportModel({ format: 'stl', output: `${outBase}.png` }), /does not match format "stl"/);
+    await assert.rejects(() => exportModel({ format: 'ply', output: outBase }), /Unsupported export format/);
+
+    const saved = process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS;
+    delete process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS;
+    try {
+      await assert.rejects(
+        () => exportModel({ format: 'stl', output: path.join(os.tmpdir(), 'export-test.stl') }),
+        /Access denied/,
+      );
+    } finally {
+      if (saved !== undefined) process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS = saved;
+    }
+  });
+
+  it('rejects file together with model, and params without file', async () => {
+    await assert.rejects(() => exportModel({ format: 'stl', output: outBase, file: EXAMPLE_STL, model: 'default' }), /either file or model/);
+    await assert.rejects(() => exportModel({ format: 'stl', output: outBase, params: { w: 1 } }), /only be passed with file/);
+    await assert.rejects(() => exportModel({ format: 'stl', output: outBase, file: EXAMPLE_STL, params: { w: 1 } }), /only be applied to \.scad/);
+  });
+
+  it('exports a 2D projection() file to DXF and SVG without opening it', { skip: !HAS_OPENSCAD && 'OpenSCAD not installed' }, async () => {
+    const scad = path.join(SAMPLES_DIR, 'export-test-2d.scad');
+    fs.writeFileSync(scad, 'size = 10;\nprojection() cube(size);\n');
+    try {
+      const dxf = await exportModel({ format: 'dxf', output: outBase, file: scad });
+      assert.strictEqual(dxf.model, null);
+      assert.strictEqual(dxf.file, scad);
+      assert.ok(Object.keys(dxf.summary.entities).length > 0);
+
+      const svg = await exportModel({ format: 'svg', output: outBase, file: scad, params: { size: 20 } });
+      assert.ok(svg.summary.paths > 0);
+      assert.ok(svg.summary.viewBox);
+    } finally {
+      for (const f of [scad, `${outBase}.dxf`, `${outBase}.svg`]) fs.rmSync(f, { force: true });
+    }
+  });
+});
+
 // ---------------------------------------------------------------------------
 // isPathAllowed
 // ---------------------------------------------------------------------------
@@ -327,41 +1632,10 @@ describe('MCP server integration', () => {
   let serverTransport;
 
   before(async () => {
-    const { McpServer } = await import('@modelcontextprotocol/sdk/server/mcp.js');
     const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
     const { InMemoryTransport } = await import('@modelcontextprotocol/sdk/inMemory.js');
-    const { z } = await import('zod');
-
-    // Create an MCP server identical to the one in index.js
-    mcpServer = new McpServer({ name: 'openscad-viewer', version: '1.0.0' });
-
-    mcpServer.tool(
-      'open',
-      'Opens a .scad or .stl file in the viewer',
-      { file: z.string().describe('Absolute or relative path to a .scad or .stl file') },
-      async ({ file }) => {
-        try {
-          const result = await openFile(file);
-          return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
-        } catch (err) {
-          return {
-            content: [{ type: 'text', text: JSON.stringify({ success: false, error: err.message }) }],
-            isError: true,
-          };
-        }
-      },
-    );
 
-    mcpServer.tool(
-      'view',
-      'Renders the current model at a specified camera angle and returns a screenshot image and metadata',
-      {
-        azimuth: z.number().min(0).max(360).optional().describe('Horizontal angle in degrees (0-360). Default: 45'),
-        elevation: z.number().min(-90).max(90).optional().describe('Vertical angle in degrees (-90 to 90). Default: 30'),
-        distance: z.number().optional().describe('Distance from model center. Auto-calculated if omitted.'),
-      },
-      async (args) => handleViewTool(args),
-    );
+    mcpServer = await createMcpServer();
 
     [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
 
@@ -380,7 +1654,7 @@ describe('MCP server integration', () => {
     const { tools } = await client.listTools();
     const names = tools.map((t) => t.name).sort();
 
-    assert.deepStrictEqual(names, ['open', 'view']);
+    assert.deepStrictEqual(names, ['analyze', 'annotate', 'clear_annotations', 'close', 'compile_status', 'dependencies', 'diagnostics', 'export', 'get_camera', 'get_parameters', 'get_selection', 'history', 'list_models', 'open', 'section', 'set_parameters', 'status', 'view', 'view_grid']);
   });
 
   it('open tool has correct input schema', async () => {
@@ -388,9 +1662,10 @@ describe('MCP server integration', () => {
     const openTool = tools.find((t) => t.name === 'open');
 
     assert.ok(openTool);
-    assert.strictEqual(openTool.description, 'Opens a .scad or .stl file in the viewer');
+    assert.strictEqual(openTool.description, 'Opens a .scad or mesh file (.stl, .3mf, .obj, .off, .amf) in the viewer');
     assert.ok(openTool.inputSchema);
     assert.ok(openTool.inputSchema.properties.file);
+    assert.ok(openTool.inputSchema.properties.params);
   });
 
   it('view tool has correct input schema', async () => {
@@ -401,6 +1676,7 @@ describe('MCP server integration', () => {
     assert.ok(viewTool.inputSchema.properties.azimuth);
     assert.ok(viewTool.inputSchema.properties.elevation);
     assert.ok(viewTool.inputSchema.properties.distance);
+    assert.ok(viewTool.inputSchema.properties.renderer);
   });
 
   it('open tool succeeds with a valid STL file', async () => {
@@ -431,7 +1707,7 @@ describe('MCP server integration', () => {
 
   it('open tool returns error for unsupported file type', async () => {
     // Create temp file inside the project directory so it passes path traversal check
-    const tmpFile = path.join(SAMPLES_DIR, 'mcp-test-temp.obj');
+    const tmpFile = path.join(SAMPLES_DIR, 'mcp-test-temp.ply');
     fs.writeFileSync(tmpFile, 'dummy');
 
     try {
@@ -445,6 +1721,126 @@ describe('MCP server integration', () => {
     }
   });
 
+  it('get_parameters tool returns the schema with active overrides', async () => {
+    const scadFile = path.join(SAMPLES_DIR, 'example.scad');
+    await setParameters({ $fn: 64 }, { file: scadFile, replace: true });
+
+    const result = await client.callTool({ name: 'get_parameters', arguments: { file: scadFile } });
+
+    assert.ok(!result.isError);
+    const parsed = JSON.parse(result.content[0].text);
+    const fn = parsed.parameters.find((p) => p.name === '$fn');
+    assert.strictEqual(fn.default, 32);
+    assert.strictEqual(fn.value, 64);
+    assert.deepStrictEqual(parsed.overrides, { $fn: 64 });
+  });
+
+  it('get_parameters tool rejects .stl files', async () => {
+    const result = await client.callTool({ name: 'get_parameters', arguments: { file: EXAMPLE_STL } });
+
+    assert.strictEqual(result.isError, true);
+    assert.ok(JSON.parse(result.content[0].text).error.includes('.scad'));
+  });
+
+  it('analyze tool reports mesh stats for the current model', async () => {
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const result = await client.callTool({ name: 'analyze', arguments: {} });
+
+    assert.ok(!result.isError);
+    const parsed = JSON.parse(result.content[0].text);
+    assert.strictEqual(parsed.file, EXAMPLE_STL);
+    assert.strictEqual(parsed.triangleCount, 16);
+    assert.strictEqual(parsed.shells, 1);
+  });
+
+  it('analyze and view list colored parts and render their colors', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-colors-test-'));
+    const file = path.join(tmpDir, 'parts.off');
+    fs.writeFileSync(file, twoCubeOff('255 0 0', '0 255 0'));
+    const saved = process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS;
+    process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS = '1';
+    try {
+      await client.callTool({ name: 'open', arguments: { file } });
+      const analyzed = JSON.parse((await client.callTool({ name: 'analyze', arguments: {} })).content[0].text);
+      assert.deepStrictEqual(analyzed.parts.map((p) => [p.color, p.boundingBox.min[0]]), [['#ff0000', 0], ['#00ff00', 2]]);
+
+      const result = await client.callTool({
+        name: 'view',
+        arguments: { view: 'front', projection: 'orthographic', width: 120, height: 80, renderer: 'server' },
+      });
+      const metadata = JSON.parse(result.content[1].text);
+      assert.deepStrictEqual(metadata.parts, analyzed.parts);
+
+      // Left cube red, right cube green
+      const { pixel } = readPng(Buffer.from(result.content[0].data, 'base64'));
+      const [lr, lg] = pixel(47, 40);
+      const [rr, rg] = pixel(73, 40);
+      assert.ok(lr > lg, `expected a red left cube, got ${pixel(47, 40)}`);
+      assert.ok(rg > rr, `expected a green right cube, got ${pixel(73, 40)}`);
+      fs.unlinkSync(metadata.imagePath);
+    } finally {
+      if (saved === undefined) delete process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS;
+      else process.env.OPENSCAD_VIEWER_ALLOW_ALL_PATHS = saved;
+      resetState();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('analyze tool returns error when no model is loaded', async () => {
+    resetState();
+    const result = await client.callTool({ name: 'analyze', arguments: {} });
+
+    assert.strictEqual(result.isError, true);
+    assert.ok(JSON.parse(result.content[0].text).error.includes('No model currently loaded'));
+  });
+
+  it('dependencies tool returns the scanned tree for a .scad file', async () => {
+    const result = await client.callTool({
+      name: 'dependencies',
+      arguments: { file: path.join(SAMPLES_DIR, 'example.scad') },
+    });
+
+    assert.ok(!result.isError);
+    const parsed = JSON.parse(result.content[0].text);
+    assert.strictEqual(parsed.source, 'scan');
+    assert.deepStrictEqual(parsed.files, []);
+    assert.deepStrictEqual(parsed.missing, []);
+    assert.deepStrictEqual(parsed.tree, []);
+  });
+
+  it('list_models and close tools manage model slots', async () => {
+    resetState();
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL, id: 'left' } });
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL, id: 'right' } });
+
+    const listed = JSON.parse((await client.callTool({ name: 'list_models', arguments: {} })).content[0].text);
+    assert.deepStrictEqual(listed.models.map((m) => m.id), ['left', 'right']);
+    assert.strictEqual(listed.active, 'right');
+
+    const closed = await client.callTool({ name: 'close', arguments: { id: 'left' } });
+    assert.ok(!closed.isError);
+    assert.strictEqual(JSON.parse(closed.content[0].text).active, 'right');
+
+    const missing = await client.callTool({ name: 'close', arguments: { id: 'left' } });
+    assert.strictEqual(missing.isError, true);
+  });
+
+  it('view tool targets a specific model', async () => {
+    const result = await client.callTool({
+      name: 'view',
+      arguments: { model: 'right', renderer: 'server' },
+    });
+
+    assert.ok(!result.isError);
+    const metadata = JSON.parse(result.content[1].text);
+    assert.strictEqual(metadata.model, 'right');
+    fs.unlinkSync(metadata.imagePath);
+
+    const unknown = await client.callTool({ name: 'view', arguments: { model: 'nope' } });
+    assert.strictEqual(unknown.isError, true);
+    assert.ok(JSON.parse(unknown.content[0].text).error.includes('No model with id "nope"'));
+  });
+
   it('view tool returns error when no model is loaded', async () => {
     resetState();
     const result = await client.callTool({
@@ -457,16 +1853,638 @@ describe('MCP server integration', () => {
     assert.ok(parsed.error.includes('No model currently loaded'));
   });
 
-  it('view tool returns error when no browser is connected', async () => {
+  it('view tool returns error when the browser renderer is requested without a browser', async () => {
     // Open a file first so we pass the "no model" check
     await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
     const result = await client.callTool({
       name: 'view',
-      arguments: { azimuth: 45, elevation: 30 },
+      arguments: { azimuth: 45, elevation: 30, renderer: 'browser' },
     });
 
     assert.strictEqual(result.isError, true);
     const parsed = JSON.parse(result.content[0].text);
     assert.ok(parsed.error.includes('No browser connected'));
   });
+
+  it('view tool falls back to the server renderer when no browser is connected', async () => {
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const result = await client.callTool({
+      name: 'view',
+      arguments: { azimuth: 45, elevation: 30 },
+    });
+
+    assert.ok(!result.isError);
+    assert.strictEqual(result.content[0].type, 'image');
+    assert.strictEqual(result.content[0].mimeType, 'image/png');
+    const metadata = JSON.parse(result.content[1].text);
+    assert.strictEqual(metadata.renderer, 'server');
+    assert.strictEqual(metadata.camera.distance, 30);
+    fs.unlinkSync(metadata.imagePath);
+  });
+
+  it('get_camera and view useCurrentCamera follow the camera the browser reports', async () => {
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const none = await client.callTool({ name: 'get_camera', arguments: {} });
+    assert.strictEqual(none.isError, true);
+    assert.ok(JSON.parse(none.content[0].text).error.includes('No camera reported'));
+
+    const browser = { readyState: 1, send() {} };
+    handleBrowserMessage({
+      type: 'camera', id: 'default', position: [5, -25, 6], target: [5, 5, 6], azimuth: 0, elevation: 0,
+      distance: 30, projection: 'orthographic', fov: 45, viewport: { width: 200, height: 100 },
+    }, browser);
+    const camera = JSON.parse((await client.callTool({ name: 'get_camera', arguments: {} })).content[0].text);
+    assert.strictEqual(camera.projection, 'orthographic');
+    assert.deepStrictEqual(camera.target, [5, 5, 6]);
+    assert.ok(camera.updatedAt);
+
+    const result = await client.callTool({ name: 'view', arguments: { useCurrentCamera: true, renderer: 'server' } });
+    assert.ok(!result.isError);
+    const metadata = JSON.parse(result.content[1].text);
+    assert.deepStrictEqual(metadata.camera, {
+      azimuth: 0, elevation: 0, distance: 30, target: [5, 5, 6], projection: 'orthographic', fov: 45,
+    });
+    // The window size carries over, so the framing matches the user's
+    assert.deepStrictEqual([metadata.render.width, metadata.render.height], [200, 100]);
+    fs.unlinkSync(metadata.imagePath);
+
+    const mixed = await client.callTool({ name: 'view', arguments: { useCurrentCamera: true, view: 'top' } });
+    assert.strictEqual(mixed.isError, true);
+    assert.ok(JSON.parse(mixed.content[0].text).error.includes('cannot be combined'));
+
+    handleBrowserClose(browser);
+    assert.strictEqual((await client.callTool({ name: 'get_camera', arguments: {} })).isError, true);
+  });
+
+  it('get_camera ignores malformed camera reports and clamps the viewport', async () => {
+    resetState();
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const browser = { readyState: 1, send() {} };
+    const camera = {
+      type: 'camera', id: 'default', position: [5, -25, 6], target: [5, 5, 6], azimuth: 0, elevation: 0,
+      distance: 30, projection: 'perspective', fov: 45, viewport: { width: 200, height: 100 },
+    };
+    for (const bad of [
+      { id: 'missing' }, { target: [5, 5] }, { distance: 'far' }, { fov: Infinity }, { projection: 'fisheye' },
+      { viewport: null }, { viewport: { width: -1, height: 100 } }, { viewport: { width: 1e9 } },
+    ]) {
+      handleBrowserMessage({ ...camera, ...bad }, browser);
+    }
+    assert.strictEqual((await client.callTool({ name: 'get_camera', arguments: {} })).isError, true);
+
+    handleBrowserMessage({ ...camera, viewport: { width: 1e6, height: 2.4 }, extra: 'dropped' }, browser);
+    const reported = JSON.parse((await client.callTool({ name: 'get_camera', arguments: {} })).content[0].text);
+    assert.deepStrictEqual(reported.viewport, { width: 4096, height: 16 });
+    assert.ok(!('extra' in reported) && !('type' in reported));
+    handleBrowserClose(browser);
+  });
+
+  it('get_selection returns the browser\'s picks and the distance between two', async () => {
+    resetState();
+    const empty = JSON.parse((await client.callTool({ name: 'get_selection', arguments: {} })).content[0].text);
+    assert.deepStrictEqual(empty, { success: true, picks: [], updatedAt: null });
+
+    const pick = (point, normal) => ({ model: 'default', point, normal, triangle: 0, vertices: [] });
+    handleBrowserMessage({ type: 'selection', picks: [pick([0, 0, 0], [0, -1, 0]), pick([3, 0, 4], [0, 0, 1])] }, null);
+    const two = JSON.parse((await client.callTool({ name: 'get_selection', arguments: {} })).content[0].text);
+    assert.strictEqual(two.picks.length, 2);
+    assert.deepStrictEqual(two.picks[1].point, [3, 0, 4]);
+    assert.deepStrictEqual(two.delta, [3, 0, 4]);
+    assert.strictEqual(two.distance, 5);
+    assert.ok(two.updatedAt);
+
+    handleBrowserMessage({ type: 'selection', picks: [pick([1, 2, 3], [0, 0, 1])] }, null);
+    const one = JSON.parse((await client.callTool({ name: 'get_selection', arguments: {} })).content[0].text);
+    assert.strictEqual(one.picks.length, 1);
+    assert.ok(!('distance' in one));
+  });
+
+  it('get_selection ignores malformed picks and drops picks of closed models and gone browsers', async () => {
+    resetState();
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const get = async () => JSON.parse((await client.callTool({ name: 'get_selection', arguments: {} })).content[0].text);
+    const pick = { model: 'default', point: [0, 0, 0], normal: [0, 0, 1], triangle: 0, vertices: [] };
+
+    for (const picks of [[{ ...pick, point: [0, 0] }], [{ ...pick, normal: ['x', 0, 1] }], [{ ...pick, triangle: -1 }], [pick, pick, pick]]) {
+      handleBrowserMessage({ type: 'selection', picks }, null);
+    }
+    assert.deepStrictEqual(await get(), { success: true, picks: [], updatedAt: null });
+
+    handleBrowserMessage({ type: 'selection', picks: [pick] }, null);
+    closeModel('default');
+    const closed = await get();
+    assert.deepStrictEqual(closed.picks, []);
+    assert.ok(closed.updatedAt);
+
+    const browser = {};
+    handleBrowserMessage({ type: 'selection', picks: [{ ...pick, model: 'other' }] }, browser);
+    assert.strictEqual((await get()).picks.length, 1);
+    handleBrowserClose(browser);
+    assert.deepStrictEqual((await get()).picks, []);
+  });
+
+  it('view renders an earlier revision by number', async () => {
+    resetState();
+    const tmpStl = path.join(SAMPLES_DIR, 'history-view-test.stl');
+    fs.writeFileSync(tmpStl, makeBinaryStl([{ normal: [0, 0, 1], vertices: [[0, 0, 0], [5, 0, 0], [0, 5, 0]] }]));
+    try {
+      await client.callTool({ name: 'open', arguments: { file: tmpStl } });
+      await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+      const history = JSON.parse((await client.callTool({ name: 'history', arguments: {} })).content[0].text);
+      assert.deepStrictEqual(history.revisions.map((r) => r.file), [tmpStl, EXAMPLE_STL]);
+
+      const result = await client.callTool({ name: 'view', arguments: { revision: 1, renderer: 'server' } });
+      assert.ok(!result.isError);
+      const metadata = JSON.parse(result.content[1].text);
+      assert.strictEqual(metadata.revision, 1);
+      // Framed on the revision's own bounds, not the current model's
+      assert.deepStrictEqual(metadata.camera.target, [2.5, 2.5, 0]);
+      fs.unlinkSync(metadata.imagePath);
+
+      const missing = await client.callTool({ name: 'view', arguments: { revision: 7, renderer: 'server' } });
+      assert.strictEqual(missing.isError, true);
+      assert.ok(JSON.parse(missing.content[0].text).error.includes('has no revision 7 (kept: 1, 2)'));
+    } finally {
+      fs.unlinkSync(tmpStl);
+    }
+  });
+
+  it('exposes open models and captures as resources and notifies subscribers', async () => {
+    resetState();
+    const { ResourceUpdatedNotificationSchema } = await import('@modelcontextprotocol/sdk/types.js');
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+
+    const { resources } = await client.listResources();
+    assert.deepStrictEqual(resources.map((r) => r.uri), [
+      'openscad://models/default/model.stl',
+      'openscad://models/default/metadata.json',
+    ]);
+
+    const stl = await client.readResource({ uri: 'openscad://models/default/model.stl' });
+    assert.strictEqual(stl.contents[0].mimeType, 'model/stl');
+    assert.deepStrictEqual(parseStlBoundingBox(Buffer.from(stl.contents[0].blob, 'base64')).max, [10, 10, 12]);
+    const metadata = JSON.parse((await client.readResource({ uri: 'openscad://models/default/metadata.json' })).contents[0].text);
+    assert.strictEqual(metadata.file, EXAMPLE_STL);
+    assert.strictEqual(metadata.revision, 1);
+    assert.strictEqual(metadata.compile, null);
+    await assert.rejects(() => client.readResource({ uri: 'openscad://models/default/source.scad' }), /not a \.scad file/);
+
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => updated.push(n.params.uri));
+    await client.subscribeResource({ uri: 'openscad://models/default/metadata.json' });
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(updated, ['openscad://models/default/metadata.json']);
+    await client.unsubscribeResource({ uri: 'openscad://models/default/metadata.json' });
+
+    const view = await client.callTool({ name: 'view', arguments: { width: 64, height: 48, renderer: 'server' } });
+    const { imagePath } = JSON.parse(view.content[1].text);
+    const capture = (await client.listResources()).resources.find((r) => r.mimeType === 'image/png');
+    assert.strictEqual(capture.uri, `openscad://captures/${path.basename(imagePath)}`);
+    const png = await client.readResource({ uri: capture.uri });
+    assert.strictEqual(decodePng(Buffer.from(png.contents[0].blob, 'base64')).width, 64);
+    fs.unlinkSync(imagePath);
+  });
+
+  it('keeps concurrent captures as separate files and resources', async () => {
+    resetState();
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const views = await Promise.all([1, 2].map(() => client.callTool({ name: 'view', arguments: { width: 16, height: 16, renderer: 'server' } })));
+    const paths = views.map((v) => JSON.parse(v.content[1].text).imagePath);
+
+    assert.notStrictEqual(paths[0], paths[1]);
+    const captures = (await client.listResources()).resources.filter((r) => r.mimeType === 'image/png');
+    assert.strictEqual(captures.length, 2);
+    for (const p of paths) fs.unlinkSync(p);
+  });
+
+  it('status reports the loaded file, browsers and OpenSCAD version', async () => {
+    resetState();
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const status = JSON.parse((await client.callTool({ name: 'status', arguments: {} })).content[0].text);
+
+    assert.strictEqual(status.file, EXAMPLE_STL);
+    assert.strictEqual(status.models, 1);
+    assert.strictEqual(status.pid, process.pid);
+    assert.strictEqual(status.version, require('../package.json').version);
+    // Not listening: only main() binds a port
+    assert.strictEqual(status.url, null);
+    assert.ok(status.openscadVersion === null || typeof status.openscadVersion === 'string');
+    assert.strictEqual(status.browsers, 0);
+  });
+
+  it('section tool renders the cut and measures it', async () => {
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const result = await client.callTool({ name: 'section', arguments: { axis: 'z', offset: 5 } });
+
+    assert.ok(!result.isError);
+    assert.strictEqual(result.content[0].type, 'image');
+    const metadata = JSON.parse(result.content[1].text);
+    assert.strictEqual(metadata.renderer, 'server');
+    assert.deepStrictEqual(metadata.plane, { normal: [0, 0, 1], offset: 5 });
+    assert.deepStrictEqual(metadata.section.boundingBox, { min: [0, 0, 5], max: [10, 10, 5] });
+    // example.stl is wound inside out, so the cut's area comes out negative
+    assert.strictEqual(metadata.section.area, -100);
+    fs.unlinkSync(metadata.imagePath);
+  });
+
+  it('view_grid tool composes labelled tiles with per-camera metadata', async () => {
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const result = await client.callTool({
+      name: 'view_grid',
+      arguments: { views: ['front', 'top', { azimuth: 200, elevation: -10, distance: 50 }], width: 96, height: 64 },
+    });
+
+    assert.ok(!result.isError);
+    const metadata = JSON.parse(result.content[1].text);
+    assert.strictEqual(metadata.renderer, 'server');
+    assert.strictEqual(metadata.columns, 2);
+    assert.strictEqual(metadata.rows, 2);
+    assert.deepStrictEqual(metadata.views.map((v) => [v.label, v.column, v.row]), [
+      ['front', 0, 0], ['top', 1, 0], ['az 200\u00b0 el -10\u00b0', 0, 1],
+    ]);
+    assert.deepStrictEqual(metadata.views[1].camera, { azimuth: 0, elevation: 90, distance: 30 });
+    assert.strictEqual(metadata.views[2].camera.distance, 50);
+
+    const { width, height } = readPng(Buffer.from(result.content[0].data, 'base64'));
+    assert.strictEqual(width, 2 * 96 + 3 * 4);
+    assert.strictEqual(height, 2 * 64 + 3 * 4);
+    fs.unlinkSync(metadata.imagePath);
+  });
+
+  it('view tool resolves named views, target, projection and render options', async () => {
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const result = await client.callTool({
+      name: 'view',
+      arguments: { view: 'top', projection: 'orthographic', target: [0, 0, 0], fov: 30 },
+    });
+
+    assert.ok(!result.isError);
+    const metadata = JSON.parse(result.content[1].text);
+    assert.deepStrictEqual(metadata.camera, {
+      view: 'top', azimuth: 0, elevation: 90, distance: 30, target: [0, 0, 0], projection: 'orthographic', fov: 30,
+    });
+    fs.unlinkSync(metadata.imagePath);
+
+    const styled = await client.callTool({
+      name: 'view',
+      arguments: { width: 64, height: 48, style: 'edges', color: '#ff8800', background: 'transparent', axes: true },
+    });
+    assert.ok(!styled.isError);
+    const styledMetadata = JSON.parse(styled.content[1].text);
+    assert.deepStrictEqual(styledMetadata.render, {
+      width: 64, height: 48, style: 'edges', color: '#ff8800', background: 'transparent', grid: true, axes: true,
+    });
+    const image = readPng(Buffer.from(styled.content[0].data, 'base64'));
+    assert.strictEqual(image.width, 64);
+    assert.deepStrictEqual(image.pixel(63, 0), [0, 0, 0, 0]);
+    fs.unlinkSync(styledMetadata.imagePath);
+
+    const both = await client.callTool({ name: 'view', arguments: { view: 'front', azimuth: 10 } });
+    assert.ok(both.isError);
+    assert.match(both.content[0].text, /either a named view or azimuth/);
+  });
+
+  it('view_grid tool rejects unknown named views', async () => {
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const result = await client.callTool({ name: 'view_grid', arguments: { views: ['sideways'] } });
+    assert.ok(result.isError);
+  });
+
+  it('view and view_grid refuse server renders over the pixel budget', async () => {
+    await client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL } });
+    const view = await client.callTool({ name: 'view', arguments: { width: 4096, height: 4096, renderer: 'server' } });
+    assert.ok(view.isError);
+    assert.match(view.content[0].text, /too large for the server renderer/);
+
+    const grid = await client.callTool({
+      name: 'view_grid',
+      arguments: { views: ['front', 'back', 'left', 'right'], width: 1600, height: 1200, renderer: 'server' },
+    });
+    assert.ok(grid.isError);
+    assert.match(grid.content[0].text, /4 tiles of 1600x1200/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Browser libraries (served locally so the viewer works offline)
+// ---------------------------------------------------------------------------
+
+describe('vendorAssets', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+  // URL path -> file under the vendor routes
+  const resolve = (url) => {
+    const [route, dir] = vendorAssets().find(([r]) => url.startsWith(r + '/')) || [];
+    return route && path.join(dir, url.slice(route.length + 1));
+  };
+
+  it('finds package roots and reports packages that are not installed', () => {
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(packageRoot('three'), 'package.json'), 'utf8')).name, 'three');
+    assert.throws(() => packageRoot('no-such-package'), /Package "no-such-package" is not installed/);
+
+    // An entry point with no package.json above it, up to the filesystem root
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-package-test-'));
+    const entry = path.join(tmpDir, 'index.js');
+    fs.writeFileSync(entry, '');
+    try {
+      assert.throws(() => packageRoot(entry), /is not installed/);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('loads nothing from the network', () => {
+    assert.deepStrictEqual(html.match(/(src|href)="https?:[^"]*"|"https?:\/\/(?!www\.w3\.org)[^"]*"/g), null);
+  });
+
+  it('serves every script and module the page loads', () => {
+    const imports = JSON.parse(/<script type="importmap">([\s\S]*?)<\/script>/.exec(html)[1]).imports;
+    const urls = [
+      ...[...html.matchAll(/<script src="([^"]+)"/g)].map((m) => m[1]),
+      imports.three,
+      ...[...html.matchAll(/from 'three\/addons\/([^']+)'/g)].map((m) => imports['three/addons/'] + m[1]),
+    ];
+    assert.ok(urls.length >= 5);
+    for (const url of urls) {
+      const file = resolve(url);
+      assert.ok(file && fs.existsSync(file), `${url} is not served`);
+      // Addons import their helpers relatively (e.g. ../libs/fflate.module.js)
+      for (const [, rel] of fs.readFileSync(file, 'utf8').matchAll(/from '(\.{1,2}\/[^']+)'/g)) {
+        assert.ok(fs.existsSync(path.resolve(path.dirname(file), rel)), `${rel} imported by ${url} is not served`);
+      }
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Command line and port selection
+// ---------------------------------------------------------------------------
+
+describe('parseCli', () => {
+  it('reads the viewer\'s file and flags', () => {
+    assert.deepStrictEqual(parseCli([
+      'model.scad', '--port', '9000', '--host=0.0.0.0', '--no-stdio', '--no-browser', '--root', 'proj', '--openscad', '/opt/openscad',
+    ]), {
+      command: 'view', file: 'model.scad', root: 'proj', openscad: '/opt/openscad', params: {},
+      port: '9000', host: '0.0.0.0', browser: false, stdio: false,
+    });
+    assert.deepStrictEqual(parseCli([]), {
+      command: 'view', file: null, root: null, openscad: null, params: {},
+      port: null, host: '127.0.0.1', browser: true, stdio: true,
+    });
+  });
+
+  it('reads -D overrides as JSON values where they parse', () => {
+    const { params } = parseCli(['model.scad', '-D', 'width=20', '-Dlabel=hi', '-D', 'name="quoted"', '-D', 'size=[1, 2]', '-D', 'hollow=false']);
+    assert.deepStrictEqual(params, { width: 20, label: 'hi', name: 'quoted', size: [1, 2], hollow: false });
+    assert.throws(() => parseCli(['model.scad', '-D', '=3']), /Invalid -D =3/);
+    assert.throws(() => parseCli(['model.scad', '-D', 'a$b=1']), /Invalid parameter name: a\$b/);
+    assert.throws(() => parseCli(['-D', 'x=1']), /-D needs a \.scad file/);
+  });
+
+  it('reads the render subcommand with defaults', () => {
+    const cli = parseCli(['render', 'model.scad', '-o', 'a.png', '--output', 'b.stl', '--view', 'top', '--width', '200', '--no-grid']);
+    assert.strictEqual(cli.command, 'render');
+    assert.strictEqual(cli.file, 'model.scad');
+    assert.deepStrictEqual(cli.render, {
+      outputs: ['a.png', 'b.stl'], view: 'top', width: 200, height: 600, style: 'shaded', projection: 'perspective',
+      color: null, background: null, grid: false, axes: false,
+    });
+    assert.ok(!('port' in cli));
+  });
+
+  it('falls back to OPENSCAD_VIEWER_PORT, OPENSCAD_VIEWER_HOST and OPENSCAD_VIEWER_OPENSCAD', () => {
+    process.env.OPENSCAD_VIEWER_PORT = 'auto';
+    process.env.OPENSCAD_VIEWER_HOST = '::1';
+    process.env.OPENSCAD_VIEWER_OPENSCAD = 'openscad-nightly';
+    try {
+      const cli = parseCli([]);
+      assert.deepStrictEqual([cli.port, cli.host, cli.openscad], ['auto', '::1', 'openscad-nightly']);
+      assert.strictEqual(parseCli(['--port', '1234']).port, '1234');
+    } finally {
+      delete process.env.OPENSCAD_VIEWER_PORT;
+      delete process.env.OPENSCAD_VIEWER_HOST;
+      delete process.env.OPENSCAD_VIEWER_OPENSCAD;
+    }
+  });
+
+  it('rejects unknown, misplaced and invalid options and extra arguments', () => {
+    assert.throws(() => parseCli(['--bogus']), /Unknown option '--bogus'/);
+    assert.throws(() => parseCli(['a.scad', 'b.scad']), /Unexpected argument: b.scad/);
+    assert.throws(() => parseCli(['a.scad', '-o', 'a.png']), /--output only applies to render/);
+    assert.throws(() => parseCli(['render', 'a.scad', '-o', 'a.png', '--no-stdio']), /--no-stdio does not apply to render/);
+    assert.throws(() => parseCli(['render', 'a.scad']), /at least one --output/);
+    assert.throws(() => parseCli(['render', '-o', 'a.png']), /render needs a file/);
+    assert.throws(() => parseCli(['render', 'a.scad', '-o', 'a.png', '--view', 'side']), /--view must be one of: front/);
+    assert.throws(() => parseCli(['render', 'a.scad', '-o', 'a.png', '--background', 'red']), /--background must be/);
+  });
+});
+
+describe('renderFile', () => {
+  const outDir = path.join(SAMPLES_DIR, 'render-test');
+
+  after(() => {
+    resetState();
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it('writes PNG renders and same-format exports, then closes the model', async () => {
+    resetState();
+    const cli = parseCli(['render', EXAMPLE_STL, '-o', path.join(outDir, 'front.png'), '-o', path.join(outDir, 'copy.stl'), '--view', 'front', '--width', '64', '--height', '48']);
+    const results = await renderFile(cli);
+
+    assert.deepStrictEqual(results.map((r) => [r.format, path.basename(r.path)]), [['png', 'front.png'], ['stl', 'copy.stl']]);
+    const png = decodePng(fs.readFileSync(path.join(outDir, 'front.png')));
+    assert.deepStrictEqual([png.width, png.height], [64, 48]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(outDir, 'copy.stl')), fs.readFileSync(EXAMPLE_STL));
+    assert.deepStrictEqual(listModels().models, []);
+  });
+
+  it('exports a 2D projection() design to SVG without opening it', { skip: !HAS_OPENSCAD && 'OpenSCAD not installed' }, async () => {
+    resetState();
+    const scad = path.join(SAMPLES_DIR, 'render-test-2d.scad');
+    fs.writeFileSync(scad, 'size = 10;\nprojection() cube(size);\n');
+    try {
+      const [svg] = await renderFile(parseCli(['render', scad, '-D', 'size=20', '-o', path.join(outDir, 'part.svg')]));
+      assert.strictEqual(svg.format, 'svg');
+      assert.ok(svg.summary.paths > 0);
+    } finally {
+      fs.rmSync(scad, { force: true });
+    }
+  });
+
+  it('rejects outputs without an extension', async () => {
+    await assert.rejects(() => renderFile(parseCli(['render', EXAMPLE_STL, '-o', path.join(outDir, 'thumb')])), /needs an extension: \.png, \.stl/);
+    assert.deepStrictEqual(listModels().models, []);
+  });
+});
+
+describe('resolvePort', () => {
+  it('defaults to 8439', () => {
+    assert.strictEqual(resolvePort(null), 8439);
+    assert.strictEqual(resolvePort(''), 8439);
+  });
+
+  it('takes an explicit port, or any free one for "auto"', () => {
+    assert.strictEqual(resolvePort('9000'), 9000);
+    assert.strictEqual(resolvePort('auto'), 0);
+  });
+
+  it('rejects invalid ports', () => {
+    assert.throws(() => resolvePort('http'), /Invalid port: http/);
+    assert.throws(() => resolvePort('70000'), /Invalid port/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// MCP over Streamable HTTP (sessions sharing the viewer's state)
+// ---------------------------------------------------------------------------
+
+describe('model routes', () => {
+  const offFile = path.join(SAMPLES_DIR, 'routes-test.off');
+  let server;
+  let base;
+
+  before(async () => {
+    fs.writeFileSync(offFile, 'OFF\n3 1 0\n0 0 0\n4 0 0\n0 4 0\n3 0 1 2\n');
+    const express = require('express');
+    const app = express();
+    mountModelRoutes(app);
+    server = require('http').createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    resetState();
+    fs.rmSync(offFile, { force: true });
+  });
+
+  it('serves /model/<id>.stl for an OFF-backed model and its own format', async () => {
+    resetState();
+    await openFile(offFile, { id: 'part' });
+
+    const stl = await fetch(`${base}/model/part.stl`);
+    assert.strictEqual(stl.status, 200);
+    const positions = parseStlTriangles(Buffer.from(await stl.arrayBuffer()));
+    assert.strictEqual(positions.length, 9);
+    assert.deepStrictEqual(parseStlBoundingBox(Buffer.from(await (await fetch(`${base}/model.stl`)).arrayBuffer())).max, [4, 4, 0]);
+
+    const off = await fetch(`${base}/model/part.off`);
+    assert.strictEqual(await off.text(), fs.readFileSync(offFile, 'utf8'));
+    assert.strictEqual((await fetch(`${base}/model/part.3mf`)).status, 404);
+    assert.strictEqual((await fetch(`${base}/model/missing.stl`)).status, 404);
+  });
+});
+
+describe('isAllowedUpgrade', () => {
+  const server = (address) => ({ address: () => ({ address, port: 8439 }) });
+  const req = (host, origin) => ({ headers: origin === undefined ? { host } : { host, origin } });
+
+  it('accepts the viewer page and non-browser clients on a loopback host', () => {
+    assert.strictEqual(isAllowedUpgrade(req('localhost:8439', 'http://localhost:8439'), server('127.0.0.1')), true);
+    assert.strictEqual(isAllowedUpgrade(req('127.0.0.1:8439'), server('127.0.0.1')), true);
+    assert.strictEqual(isAllowedUpgrade(req('192.168.1.5:8439', 'http://192.168.1.5:8439'), server('192.168.1.5')), true);
+  });
+
+  it('refuses other pages and rebinding host names', () => {
+    assert.strictEqual(isAllowedUpgrade(req('localhost:8439', 'https://evil.example'), server('127.0.0.1')), false);
+    assert.strictEqual(isAllowedUpgrade(req('localhost:8439', 'http://localhost:3000'), server('127.0.0.1')), false);
+    assert.strictEqual(isAllowedUpgrade(req('evil.example:8439', 'http://evil.example:8439'), server('127.0.0.1')), false);
+    assert.strictEqual(isAllowedUpgrade(req(undefined), server('0.0.0.0')), false);
+  });
+});
+
+describe('MCP over HTTP', () => {
+  let server;
+  let url;
+  const clients = [];
+
+  async function connectClient() {
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp.js');
+    const client = new Client({ name: 'http-test-client', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(url);
+    await client.connect(transport);
+    clients.push(transport);
+    return { client, transport };
+  }
+
+  before(async () => {
+    const express = require('express');
+    const app = express();
+    server = require('http').createServer(app);
+    mountMcpHttp(app, server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = new URL(`http://127.0.0.1:${server.address().port}/mcp`);
+  });
+
+  after(async () => {
+    for (const transport of clients) await transport.close();
+    server.close();
+    resetState();
+  });
+
+  it('gives each client its own session on the shared models', async () => {
+    resetState();
+    const a = await connectClient();
+    const b = await connectClient();
+    assert.ok(a.transport.sessionId);
+    assert.notStrictEqual(a.transport.sessionId, b.transport.sessionId);
+
+    await a.client.callTool({ name: 'open', arguments: { file: EXAMPLE_STL, id: 'shared' } });
+    const listed = JSON.parse((await b.client.callTool({ name: 'list_models', arguments: {} })).content[0].text);
+    assert.deepStrictEqual(listed.models.map((m) => m.id), ['shared']);
+  });
+
+  it('rejects requests without a session and closed sessions', async () => {
+    const post = (body, headers = {}) => fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers },
+      body: JSON.stringify(body),
+    });
+    const noSession = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    assert.strictEqual(noSession.status, 400);
+
+    const { transport } = await connectClient();
+    const { sessionId } = transport;
+    await transport.terminateSession();
+    const closed = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+    assert.strictEqual(closed.status, 404);
+  });
+
+  it('closes sessions whose client went away without ending them', async () => {
+    const express = require('express');
+    const app = express();
+    const idleServer = require('http').createServer(app);
+    mountMcpHttp(app, idleServer, { idleTimeoutMs: 100 });
+    await new Promise((resolve) => idleServer.listen(0, '127.0.0.1', resolve));
+    const idleUrl = `http://127.0.0.1:${idleServer.address().port}/mcp`;
+    const post = (body, headers = {}) => fetch(idleUrl, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers },
+      body: JSON.stringify(body),
+    });
+    try {
+      const init = await post({
+        jsonrpc: '2.0', id: 1, method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'gone', version: '1.0.0' } },
+      });
+      await init.text();
+      const sessionId = init.headers.get('mcp-session-id');
+      assert.ok(sessionId);
+
+      const headers = { 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-03-26' };
+      const alive = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, headers);
+      await alive.text();
+      assert.strictEqual(alive.status, 200);
+
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      const expired = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, headers);
+      assert.strictEqual(expired.status, 404);
+    } finally {
+      idleServer.close();
+    }
+  });
 });